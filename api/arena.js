@@ -0,0 +1,143 @@
+/**
+ * Arena
+ * Blind votes between anonymized responses, rated with Elo
+ */
+
+const Arena = {
+    storageKey: 'arena_votes',
+    initialRating: 1000,
+    kFactor: 32,
+
+    // Prompt categories offered when voting, with keywords used to guess one
+    categories: {
+        general: { label: 'General', pattern: null },
+        coding: { label: 'Coding', pattern: /\b(code|function|bug|error|javascript|typescript|python|java|sql|regex|api|compile|class|script)\b/i },
+        math: { label: 'Math', pattern: /\b(calculate|equation|integral|derivative|probability|solve|proof|math)\b|\d+\s*[-+*/^]\s*\d+/i },
+        writing: { label: 'Writing', pattern: /\b(write|rewrite|essay|email|letter|poem|story|summari[sz]e|translate|tone)\b/i },
+        analysis: { label: 'Analysis', pattern: /\b(compare|analy[sz]e|pros and cons|evaluate|explain why|trade-?offs?)\b/i }
+    },
+
+    /**
+     * Saved votes, oldest first
+     * @returns {Array} - [{ id, timestamp, models, names, winner, category, tags }]
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Save a vote
+     * @param {Object} vote - { models, names, winner, category, tags }; winner is a model key or 'tie'
+     * @returns {Object} - Stored vote
+     */
+    record(vote) {
+        const stored = { id: Math.random().toString(36).slice(2, 10), timestamp: Date.now(), ...vote };
+        localStorage.setItem(this.storageKey, JSON.stringify([...this.load(), stored]));
+        return stored;
+    },
+
+    /**
+     * Remove all votes
+     */
+    reset() {
+        localStorage.removeItem(this.storageKey);
+    },
+
+    /**
+     * Random order for showing responses without names
+     * @param {Array} models - Model keys
+     * @returns {Array} - Shuffled copy
+     */
+    shuffle(models) {
+        const order = [...models];
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    },
+
+    /**
+     * Anonymous name for a position
+     * @param {number} index - Position in the shuffled order
+     * @returns {string} - 'Model A', 'Model B', ...
+     */
+    label(index) {
+        return `Model ${String.fromCharCode(65 + index)}`;
+    },
+
+    /**
+     * Category a prompt most likely belongs to
+     * @param {string} prompt - User message
+     * @returns {string} - Category key
+     */
+    guessCategory(prompt) {
+        const match = Object.entries(this.categories).find(([_, category]) => category.pattern?.test(prompt || ''));
+        return match ? match[0] : 'general';
+    },
+
+    /**
+     * Tags used in any vote
+     * @param {Array} votes - Votes
+     * @returns {Array} - Sorted tags
+     */
+    tags(votes = this.load()) {
+        return [...new Set(votes.flatMap(vote => vote.tags || []))].sort();
+    },
+
+    /**
+     * Elo ratings from votes, replayed in order; the winner beats every other model in its vote
+     * @param {Array} votes - Votes
+     * @param {Object} filter - Optional { category, tag }
+     * @returns {Array} - [{ model, name, rating, wins, losses, ties, votes }] best first
+     */
+    ratings(votes = this.load(), filter = {}) {
+        const rows = {};
+        const row = (model, names) => {
+            rows[model] = rows[model] || { model: model, name: names?.[model] || model, rating: this.initialRating, wins: 0, losses: 0, ties: 0, votes: 0 };
+            return rows[model];
+        };
+
+        votes
+            .filter(vote => !filter.category || vote.category === filter.category)
+            .filter(vote => !filter.tag || (vote.tags || []).includes(filter.tag))
+            .forEach(vote => {
+                vote.models.forEach(model => {
+                    const entry = row(model, vote.names);
+                    entry.votes++;
+                    if (vote.winner === 'tie') entry.ties++;
+                    else if (vote.winner === model) entry.wins++;
+                    else entry.losses++;
+                });
+
+                // Every pair in the vote is one game
+                vote.models.forEach((a, i) => vote.models.slice(i + 1).forEach(b => {
+                    const score = vote.winner === 'tie' ? 0.5 : (vote.winner === a ? 1 : (vote.winner === b ? 0 : null));
+                    if (score === null) return;
+
+                    const expected = 1 / (1 + Math.pow(10, (rows[b].rating - rows[a].rating) / 400));
+                    const change = this.kFactor * (score - expected);
+                    rows[a].rating += change;
+                    rows[b].rating -= change;
+                }));
+            });
+
+        return Object.values(rows)
+            .map(entry => ({ ...entry, rating: Math.round(entry.rating) }))
+            .sort((a, b) => b.rating - a.rating);
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Arena;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Arena = Arena;
+}
@@ -0,0 +1,183 @@
+/**
+ * Attachments
+ * Reads files attached in the input area and decides which models can take them
+ * Messages carry attachments as { name, mimeType, kind, size, data|text }
+ */
+
+const Attachments = {
+    maxSize: 20 * 1024 * 1024,
+
+    // File extensions read as plain text even when the browser reports no text/* type
+    textExtensions: ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'html', 'css',
+        'js', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'cs', 'php', 'sh', 'sql', 'log'],
+
+    imageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+
+    labels: {
+        image: 'images',
+        pdf: 'PDF files',
+        text: 'text files'
+    },
+
+    /**
+     * Attachment kind for a file
+     * @param {File} file - Selected file
+     * @returns {string|null} - 'image', 'pdf', 'text' or null if unsupported
+     */
+    kindOf(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+        if (this.imageTypes.includes(file.type)) return 'image';
+        if (file.type === 'application/pdf' || extension === 'pdf') return 'pdf';
+        if (file.type.startsWith('text/') || file.type === 'application/json' ||
+            this.textExtensions.includes(extension)) return 'text';
+        return null;
+    },
+
+    /**
+     * Read a file into an attachment
+     * @param {File} file - Selected file
+     * @returns {Promise<Object>} - { name, mimeType, kind, size, data } or { ..., text } for text files
+     */
+    async read(file) {
+        const kind = this.kindOf(file);
+
+        if (!kind) {
+            throw new Error(`${file.name}: only images, PDFs and text files can be attached`);
+        }
+        if (file.size > this.maxSize) {
+            throw new Error(`${file.name} is larger than ${this.maxSize / 1024 / 1024} MB`);
+        }
+
+        const attachment = {
+            name: file.name,
+            mimeType: file.type || (kind === 'pdf' ? 'application/pdf' : 'text/plain'),
+            kind: kind,
+            size: file.size
+        };
+
+        if (kind === 'text') {
+            attachment.text = await this.readFile(file, 'readAsText');
+        } else {
+            const dataUrl = await this.readFile(file, 'readAsDataURL');
+            attachment.data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        }
+
+        return attachment;
+    },
+
+    /**
+     * Promise wrapper around FileReader
+     * @param {File} file - File to read
+     * @param {string} method - 'readAsText' or 'readAsDataURL'
+     * @returns {Promise<string>}
+     */
+    readFile(file, method) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader[method](file);
+        });
+    },
+
+    /**
+     * Data URL for an image or PDF attachment
+     * @param {Object} attachment - Attachment
+     * @returns {string}
+     */
+    toDataUrl(attachment) {
+        return `data:${attachment.mimeType};base64,${attachment.data}`;
+    },
+
+    /**
+     * Inline a text file (or a note for a missing attachment) as prompt text
+     * @param {Object} attachment - Attachment
+     * @returns {string}
+     */
+    toText(attachment) {
+        if (attachment.kind === 'text' && attachment.text != null) {
+            return `File: ${attachment.name}\n\`\`\`\n${attachment.text}\n\`\`\``;
+        }
+        return `[Attachment: ${attachment.name}]`;
+    },
+
+    /**
+     * Attachment kinds in the latest user message that a provider can't read
+     * @param {Array} messages - Conversation
+     * @param {Array} accepts - Kinds the provider accepts
+     * @returns {Array} - Unsupported kinds, empty if the provider can take the turn
+     */
+    unsupportedKinds(messages, accepts) {
+        const latest = [...messages].reverse().find(m => m.role === 'user');
+        const kinds = (latest?.attachments || []).map(a => a.kind);
+        return [...new Set(kinds)].filter(kind => !accepts.includes(kind));
+    },
+
+    /**
+     * Keep only attachments a provider can read; older ones it can't are replaced by a note
+     * Attachments whose data was not saved with the chat become notes too
+     * @param {Array} messages - Conversation
+     * @param {Array} accepts - Kinds the provider accepts
+     * @returns {Array} - Messages safe to send to the provider
+     */
+    filterFor(messages, accepts) {
+        return messages.map(msg => {
+            if (!msg.attachments?.length) return msg;
+
+            const kept = [];
+            const notes = [];
+            msg.attachments.forEach(attachment => {
+                const hasData = attachment.data != null || attachment.text != null;
+                if (hasData && accepts.includes(attachment.kind)) {
+                    kept.push(attachment);
+                } else {
+                    notes.push(this.toText(attachment));
+                }
+            });
+
+            return {
+                ...msg,
+                content: [msg.content, ...notes].filter(Boolean).join('\n\n'),
+                attachments: kept
+            };
+        });
+    },
+
+    /**
+     * Describe unsupported kinds for the UI
+     * @param {Array} kinds - Attachment kinds
+     * @returns {string} - e.g. "images and PDF files"
+     */
+    describe(kinds) {
+        const labels = kinds.map(kind => this.labels[kind] || kind);
+        return labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+            : labels[0] || '';
+    },
+
+    /**
+     * Copy of the messages without file contents, small enough for localStorage
+     * @param {Array} messages - Conversation
+     * @returns {Array}
+     */
+    stripData(messages) {
+        return messages.map(msg => {
+            if (!msg.attachments?.length) return msg;
+            return {
+                ...msg,
+                attachments: msg.attachments.map(({ data, text, ...meta }) => meta)
+            };
+        });
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Attachments;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Attachments = Attachments;
+}
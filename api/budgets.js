@@ -0,0 +1,148 @@
+/**
+ * Budgets
+ * Daily, monthly and per-chat spending limits per provider, checked against the usage ledger
+ */
+
+const Budgets = {
+    storageKey: 'budgets',
+    actionKey: 'budget_action',
+
+    periods: {
+        daily: { label: 'Daily', spentLabel: 'today' },
+        monthly: { label: 'Monthly', spentLabel: 'this month' },
+        perChat: { label: 'Per-chat', spentLabel: 'in this chat' }
+    },
+
+    // Answer length assumed when estimating a message before it is sent
+    expectedOutputTokens: 1000,
+
+    // Spending per provider in the open chat, kept current by the app
+    chatSpending: {},
+
+    /**
+     * Saved limits in USD
+     * @returns {Object} - { providerKey: { daily, monthly, perChat } }
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Save limits
+     * @param {Object} budgets - { providerKey: { daily, monthly, perChat } }
+     */
+    save(budgets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(budgets));
+    },
+
+    /**
+     * What to do when a message would go over a limit
+     * @returns {string} - 'warn' or 'block'
+     */
+    getAction() {
+        return localStorage.getItem(this.actionKey) === 'block' ? 'block' : 'warn';
+    },
+
+    /**
+     * Provider a model's spending counts against; variants share their base provider's budget
+     * @param {string} modelKey - Model key
+     * @returns {string} - Provider key
+     */
+    providerOf(modelKey) {
+        return Synthesizer.models[modelKey]?.variantOf || modelKey;
+    },
+
+    /**
+     * Set the open chat's spending
+     * @param {Array} entries - [{ model, cost }], model being the provider that answered
+     */
+    setChatSpending(entries) {
+        this.chatSpending = {};
+        entries.forEach(entry => {
+            const provider = this.providerOf(entry.model);
+            this.chatSpending[provider] = (this.chatSpending[provider] || 0) + (entry.cost || 0);
+        });
+    },
+
+    /**
+     * Amount a provider has spent in a period
+     * @param {string} providerKey - Provider key
+     * @param {string} period - 'daily', 'monthly' or 'perChat'
+     * @returns {number} - USD
+     */
+    spent(providerKey, period) {
+        if (period === 'perChat') {
+            return this.chatSpending[providerKey] || 0;
+        }
+
+        const today = Usage.dayKey();
+        const prefix = period === 'daily' ? today : today.slice(0, 7);
+        return Object.entries(Usage.loadLedger())
+            .filter(([day]) => day.startsWith(prefix))
+            .reduce((total, [_, models]) => total + Object.entries(models)
+                .filter(([model]) => this.providerOf(model) === providerKey)
+                .reduce((sum, [_, spent]) => sum + spent.cost, 0), 0);
+    },
+
+    /**
+     * Check a model against its provider's limits
+     * @param {string} modelKey - Model key
+     * @param {number} extra - Estimated cost of the next message, 0 to check spending so far
+     * @returns {Object} - { over, exceeded: [{ period, limit, spent }], reason }
+     */
+    status(modelKey, extra = 0) {
+        const limits = this.load()[this.providerOf(modelKey)] || {};
+        const exceeded = Object.keys(this.periods)
+            .filter(period => limits[period] > 0)
+            .map(period => ({ period: period, limit: limits[period], spent: this.spent(this.providerOf(modelKey), period) }))
+            .filter(({ limit, spent }) => spent >= limit || spent + extra > limit);
+
+        return {
+            over: exceeded.length > 0,
+            exceeded: exceeded,
+            reason: exceeded.map(item => this.describe(item)).join('; ')
+        };
+    },
+
+    /**
+     * Explain an exceeded limit
+     * @param {Object} item - { period, limit, spent }
+     * @returns {string} - e.g. 'Daily budget of $1.00 reached ($1.02 spent today)'
+     */
+    describe({ period, limit, spent }) {
+        const { label, spentLabel } = this.periods[period];
+        const state = spent >= limit ? 'reached' : 'would be exceeded';
+        return `${label} budget of ${Usage.formatCost(limit)} ${state} (${Usage.formatCost(spent)} spent ${spentLabel})`;
+    },
+
+    /**
+     * Estimated cost of sending a conversation to a model
+     * @param {string} modelKey - Model key
+     * @param {Array} messages - Conversation including the new message
+     * @param {Object} options - Resolved options for the model (model, maxTokens)
+     * @returns {number} - USD, 0 when the model has no price
+     */
+    estimate(modelKey, messages, options = {}) {
+        const provider = Synthesizer.models[modelKey];
+        const modelId = options.model || provider?.api?.model;
+        const usage = {
+            inputTokens: Usage.estimateTokens(messages),
+            outputTokens: Math.min(options.maxTokens || Infinity, this.expectedOutputTokens)
+        };
+        return Usage.cost(usage, modelId) || 0;
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Budgets;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Budgets = Budgets;
+}
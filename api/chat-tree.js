@@ -0,0 +1,162 @@
+/**
+ * Chat Tree
+ * Conversations stored as a tree so edited messages become branches instead of overwriting
+ *
+ * A tree is plain JSON: { nodes: { id: { id, parentId, message, children, activeChild } }, nextId }
+ * The root node has no message; following each node's active child gives the open branch.
+ */
+
+const ChatTree = {
+    rootId: 'root',
+
+    /**
+     * Empty conversation
+     * @returns {Object} - Tree
+     */
+    create() {
+        return {
+            nodes: {
+                [this.rootId]: { id: this.rootId, parentId: null, message: null, children: [], activeChild: 0 }
+            },
+            nextId: 1
+        };
+    },
+
+    /**
+     * Tree with a single branch, used for chats saved before branching existed
+     * @param {Array} messages - Linear conversation
+     * @returns {Object} - Tree
+     */
+    fromMessages(messages) {
+        const tree = this.create();
+        messages.reduce((parentId, message) => this.append(tree, parentId, message), this.rootId);
+        return tree;
+    },
+
+    /**
+     * Check that a value is a usable tree, e.g. from an imported file
+     * @param {*} tree - Value to check
+     * @returns {boolean}
+     */
+    isTree(tree) {
+        const nodes = tree?.nodes;
+        if (!nodes || typeof nodes !== 'object' || !nodes[this.rootId] || nodes[this.rootId].parentId !== null) return false;
+
+        // Each node has one parent and the root none, so the open branch can't loop back on itself
+        return Object.entries(nodes).every(([id, node]) =>
+            node?.id === id &&
+            Array.isArray(node.children) &&
+            !node.children.includes(id) &&
+            node.children.every(childId => nodes[childId]?.parentId === id) &&
+            (node.id === this.rootId || (node.message && typeof node.message.role === 'string'))
+        );
+    },
+
+    /**
+     * Add a message under a node and make it the open branch
+     * @param {Object} tree - Tree
+     * @param {string} parentId - Node to branch from
+     * @param {Object} message - Chat message
+     * @returns {string} - New node id
+     */
+    append(tree, parentId, message) {
+        const parent = tree.nodes[parentId];
+        // Imported trees may have any ids and older ones no counter, so skip ids already taken
+        let next = Number.isInteger(tree.nextId) ? tree.nextId : Object.keys(tree.nodes).length;
+        while (tree.nodes[`n${next}`]) next++;
+        const id = `n${next}`;
+        tree.nextId = next + 1;
+
+        tree.nodes[id] = { id: id, parentId: parentId, message: message, children: [], activeChild: 0 };
+        parent.children.push(id);
+        parent.activeChild = parent.children.length - 1;
+        return id;
+    },
+
+    /**
+     * Node ids along the open branch, root excluded
+     * @param {Object} tree - Tree
+     * @returns {Array}
+     */
+    activePath(tree) {
+        const path = [];
+        let node = tree.nodes[this.rootId];
+        while (node.children.length > 0) {
+            node = tree.nodes[node.children[node.activeChild] || node.children[0]];
+            path.push(node.id);
+        }
+        return path;
+    },
+
+    /**
+     * Messages along a path
+     * @param {Object} tree - Tree
+     * @param {Array} path - Node ids, defaults to the open branch
+     * @returns {Array}
+     */
+    messages(tree, path = this.activePath(tree)) {
+        return path.map(id => tree.nodes[id].message);
+    },
+
+    /**
+     * Messages on every branch, e.g. to total what a chat cost
+     * @param {Object} tree - Tree
+     * @returns {Array}
+     */
+    allMessages(tree) {
+        return Object.values(tree.nodes).filter(node => node.message).map(node => node.message);
+    },
+
+    /**
+     * Position of a node among its siblings
+     * @param {Object} tree - Tree
+     * @param {string} id - Node id
+     * @returns {Object} - { index, count }
+     */
+    siblings(tree, id) {
+        const parent = tree.nodes[tree.nodes[id].parentId];
+        return { index: parent.children.indexOf(id), count: parent.children.length };
+    },
+
+    /**
+     * Open the previous or next sibling branch
+     * @param {Object} tree - Tree
+     * @param {string} id - Node whose sibling to open
+     * @param {number} offset - -1 for previous, 1 for next
+     * @returns {boolean} - Whether the open branch changed
+     */
+    switchSibling(tree, id, offset) {
+        const parent = tree.nodes[tree.nodes[id].parentId];
+        const index = parent.children.indexOf(id) + offset;
+        if (index < 0 || index >= parent.children.length) return false;
+
+        parent.activeChild = index;
+        return true;
+    },
+
+    /**
+     * Copy of the tree with every message transformed
+     * @param {Object} tree - Tree
+     * @param {Function} transform - (message) => message
+     * @returns {Object} - Tree
+     */
+    mapMessages(tree, transform) {
+        return {
+            ...tree,
+            nodes: Object.fromEntries(Object.entries(tree.nodes).map(([id, node]) => [
+                id,
+                node.message ? { ...node, message: transform(node.message) } : node
+            ]))
+        };
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatTree;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.ChatTree = ChatTree;
+}
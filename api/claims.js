@@ -0,0 +1,226 @@
+/**
+ * Claim Analyzer
+ * Extracts factual claims from model responses and compares them across models
+ */
+
+const ClaimAnalyzer = {
+    // Minimum word overlap (Jaccard) for two claims to count as the same claim
+    matchThreshold: 0.5,
+
+    stopWords: new Set([
+        'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'as', 'at', 'by', 'for', 'from',
+        'in', 'into', 'of', 'on', 'onto', 'to', 'with', 'about', 'over', 'under', 'than', 'that',
+        'this', 'these', 'those', 'it', 'its', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+        'has', 'have', 'had', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'shall',
+        'should', 'may', 'might', 'must', 'also', 'very', 'just', 'which', 'who', 'whom', 'what',
+        'when', 'where', 'why', 'how', 'there', 'here', 'their', 'they', 'them', 'you', 'your',
+        'we', 'our', 'i', 'me', 'my', 'he', 'she', 'his', 'her', 'some', 'any', 'each', 'such',
+        'both', 'all', 'most', 'other', 'only', 'own', 'same', 'too', 'because', 'while'
+    ]),
+
+    negationPattern: /\b(not|no|never|none|cannot|without|neither|nor|isn't|aren't|wasn't|weren't|doesn't|don't|didn't|can't|won't|shouldn't|wouldn't|couldn't|hasn't|haven't)\b/,
+
+    // Word pairs that flip the meaning of otherwise identical claims
+    antonyms: [
+        ['true', 'false'], ['increase', 'decrease'], ['more', 'less'], ['higher', 'lower'],
+        ['faster', 'slower'], ['better', 'worse'], ['larger', 'smaller'], ['safe', 'unsafe'],
+        ['possible', 'impossible'], ['before', 'after'], ['first', 'last'],
+        ['required', 'optional'], ['mutable', 'immutable'], ['synchronous', 'asynchronous']
+    ],
+
+    /**
+     * Remove markdown syntax and code so only prose remains
+     * @param {string} content - Raw response text
+     * @returns {string} - Plain text
+     */
+    stripMarkdown(content) {
+        return content
+            .replace(/```[\s\S]*?```/g, '\n')
+            .replace(/`[^`]*`/g, '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/^\s*#{1,6}\s.*$/gm, '\n')
+            .replace(/^\s*(?:[-*+>]|\d+[.)])\s+/gm, '\n')
+            .replace(/[*_~|]/g, '');
+    },
+
+    /**
+     * Split text into normalized content words
+     * @param {string} text - Sentence text
+     * @returns {Array} - Lowercase word stems without stop words
+     */
+    tokenize(text) {
+        return (text.toLowerCase().match(/[a-z][a-z'-]*/g) || [])
+            .filter(word => !this.stopWords.has(word) && !this.negationPattern.test(word))
+            .map(word => this.stem(word))
+            .filter(word => word.length > 1);
+    },
+
+    /**
+     * Very light suffix stripping so "models" and "model" match
+     * @param {string} word - Lowercase word
+     * @returns {string} - Stemmed word
+     */
+    stem(word) {
+        return word
+            .replace(/'s$/, '')
+            .replace(/(ies)$/, 'y')
+            .replace(/(ing|ed)$/, '')
+            .replace(/([^s])s$/, '$1');
+    },
+
+    /**
+     * Extract declarative claims from a response
+     * @param {string} content - Response text
+     * @returns {Array} - Claim objects {text, tokens, numbers, negated}
+     */
+    extractClaims(content) {
+        if (!content) return [];
+
+        return this.stripMarkdown(content)
+            .split(/(?<=[.!?])\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0 && !sentence.endsWith('?') && !sentence.endsWith(':'))
+            .map(sentence => ({
+                text: sentence,
+                tokens: new Set(this.tokenize(sentence)),
+                numbers: sentence.match(/\d+(?:[.,]\d+)*/g) || [],
+                negated: this.negationPattern.test(sentence.toLowerCase())
+            }))
+            .filter(claim => claim.tokens.size + claim.numbers.length >= 3);
+    },
+
+    /**
+     * Word overlap between two claims
+     * @param {Object} a - Claim
+     * @param {Object} b - Claim
+     * @returns {number} - Jaccard similarity between 0 and 1
+     */
+    similarity(a, b) {
+        let shared = 0;
+        a.tokens.forEach(token => {
+            if (b.tokens.has(token)) shared++;
+        });
+
+        if (shared < 2) return 0;
+        return shared / (a.tokens.size + b.tokens.size - shared);
+    },
+
+    /**
+     * Decide whether two matched claims agree or contradict
+     * @param {Object} a - Claim
+     * @param {Object} b - Claim
+     * @returns {Object} - { relation: 'agree'|'contradict', reason }
+     */
+    compare(a, b) {
+        if (a.negated !== b.negated) {
+            return { relation: 'contradict', reason: 'One claim negates the other' };
+        }
+
+        if (a.numbers.length > 0 && b.numbers.length > 0 &&
+            !a.numbers.some(n => b.numbers.includes(n))) {
+            return { relation: 'contradict', reason: 'Different numbers' };
+        }
+
+        for (const [left, right] of this.antonyms) {
+            const aHasLeft = a.tokens.has(this.stem(left));
+            const aHasRight = a.tokens.has(this.stem(right));
+            const bHasLeft = b.tokens.has(this.stem(left));
+            const bHasRight = b.tokens.has(this.stem(right));
+
+            if ((aHasLeft && bHasRight && !aHasRight && !bHasLeft) ||
+                (aHasRight && bHasLeft && !aHasLeft && !bHasRight)) {
+                return { relation: 'contradict', reason: `"${left}" vs "${right}"` };
+            }
+        }
+
+        return { relation: 'agree', reason: null };
+    },
+
+    /**
+     * Words two claims have in common, used as a short topic label
+     * @param {Object} a - Claim
+     * @param {Object} b - Claim
+     * @returns {string} - Topic label
+     */
+    topic(a, b) {
+        const words = (a.text.toLowerCase().match(/[a-z][a-z'-]*/g) || [])
+            .filter(word => a.tokens.has(this.stem(word)) && b.tokens.has(this.stem(word)));
+        return [...new Set(words)].slice(0, 4).join(' ');
+    },
+
+    /**
+     * Match claims across all models and classify each pair
+     * @param {Object} responses - Responses keyed by model
+     * @returns {Object} - { agreements, contradictions, unique }
+     */
+    analyze(responses) {
+        const claimsByModel = {};
+        Object.entries(responses)
+            .filter(([_, r]) => r.success && r.content)
+            .forEach(([model, r]) => {
+                claimsByModel[model] = this.extractClaims(r.content);
+            });
+
+        const models = Object.keys(claimsByModel);
+        const agreements = [];
+        const contradictions = [];
+        const matched = new Set();
+
+        for (let i = 0; i < models.length; i++) {
+            for (let j = i + 1; j < models.length; j++) {
+                const [modelA, modelB] = [models[i], models[j]];
+
+                claimsByModel[modelA].forEach(claimA => {
+                    let best = null;
+                    let bestScore = 0;
+
+                    claimsByModel[modelB].forEach(claimB => {
+                        const score = this.similarity(claimA, claimB);
+                        if (score > bestScore) {
+                            best = claimB;
+                            bestScore = score;
+                        }
+                    });
+
+                    if (!best || bestScore < this.matchThreshold) return;
+
+                    matched.add(claimA);
+                    matched.add(best);
+
+                    const { relation, reason } = this.compare(claimA, best);
+                    const entry = {
+                        topic: this.topic(claimA, best),
+                        models: [modelA, modelB],
+                        claims: { [modelA]: claimA.text, [modelB]: best.text },
+                        similarity: Math.round(bestScore * 100) / 100
+                    };
+
+                    if (relation === 'contradict') {
+                        contradictions.push({ ...entry, reason });
+                    } else {
+                        agreements.push(entry);
+                    }
+                });
+            }
+        }
+
+        const unique = {};
+        models.forEach(model => {
+            unique[model] = claimsByModel[model]
+                .filter(claim => !matched.has(claim))
+                .map(claim => claim.text);
+        });
+
+        return { agreements, contradictions, unique };
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClaimAnalyzer;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.ClaimAnalyzer = ClaimAnalyzer;
+}
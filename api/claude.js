@@ -36,6 +36,39 @@ const ClaudeAPI = {
         for (const msg of messages) {
             if (msg.role === 'system') {
                 system = msg.content;
+            } else if (msg.role === 'tool') {
+                // Results for one round of calls go back together in a single user turn
+                const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content, is_error: msg.isError || undefined };
+                const previous = claudeMessages[claudeMessages.length - 1];
+                if (Array.isArray(previous?.content) && previous.content.every(b => b.type === 'tool_result')) {
+                    previous.content.push(block);
+                } else {
+                    claudeMessages.push({ role: 'user', content: [block] });
+                }
+            } else if (msg.toolCalls?.length) {
+                claudeMessages.push({
+                    role: 'assistant',
+                    content: [
+                        ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+                        ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+                    ]
+                });
+            } else if (msg.attachments?.length) {
+                const blocks = msg.attachments.map(attachment => {
+                    if (attachment.kind === 'image') {
+                        return { type: 'image', source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data } };
+                    }
+                    if (attachment.kind === 'pdf') {
+                        return { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: attachment.data } };
+                    }
+                    return { type: 'text', text: Attachments.toText(attachment) };
+                });
+                if (msg.content) blocks.push({ type: 'text', text: msg.content });
+
+                claudeMessages.push({
+                    role: msg.role,
+                    content: blocks
+                });
             } else {
                 claudeMessages.push({
                     role: msg.role,
@@ -47,6 +80,45 @@ const ClaudeAPI = {
         return { system, messages: claudeMessages };
     },
 
+    /**
+     * Token counts in the shape every connector returns
+     * @param {Object} usage - { input_tokens, output_tokens }
+     * @returns {Object|undefined} - { inputTokens, outputTokens }
+     */
+    normalizeUsage(usage) {
+        if (!usage) return undefined;
+        return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+    },
+
+    /**
+     * List the Claude models available to this key
+     * @param {Object} options - Request options (signal, timeout)
+     * @returns {Promise<Array>} - Sorted model ids
+     */
+    async listModels(options = {}) {
+        const apiKey = this.getApiKey();
+
+        if (!apiKey) {
+            throw new Error('Claude API key not configured');
+        }
+
+        const response = await RequestHelper.fetch(`${this.baseUrl}/models?limit=1000`, {
+            headers: {
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            }
+        }, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `Claude API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.data || []).map(model => model.id).sort();
+    },
+
     /**
      * Send a chat completion request
      * Note: Due to CORS, this will likely fail in browser without a proxy
@@ -64,7 +136,7 @@ const ClaudeAPI = {
         const { system, messages: claudeMessages } = this.convertMessages(messages);
 
         try {
-            const response = await fetch(`${this.baseUrl}/messages`, {
+            const response = await RequestHelper.fetch(`${this.baseUrl}/messages`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -75,10 +147,18 @@ const ClaudeAPI = {
                 body: JSON.stringify({
                     model: options.model || this.model,
                     max_tokens: options.maxTokens ?? 4096,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                    stop_sequences: options.stop?.length ? options.stop : undefined,
                     system: system || undefined,
-                    messages: claudeMessages
+                    messages: claudeMessages,
+                    tools: options.tools?.length ? options.tools.map(tool => ({
+                        name: tool.name,
+                        description: tool.description,
+                        input_schema: tool.parameters
+                    })) : undefined
                 })
-            });
+            }, options);
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
@@ -86,12 +166,16 @@ const ClaudeAPI = {
             }
 
             const data = await response.json();
+            const blocks = data.content || [];
 
             return {
-                content: data.content?.[0]?.text || '',
+                content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
                 model: data.model,
-                usage: data.usage,
-                finishReason: data.stop_reason
+                usage: this.normalizeUsage(data.usage),
+                finishReason: data.stop_reason,
+                toolCalls: blocks
+                    .filter(block => block.type === 'tool_use')
+                    .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
             };
         } catch (error) {
             if (error.message.includes('Failed to fetch') || error.message.includes('CORS')) {
@@ -117,7 +201,7 @@ const ClaudeAPI = {
         const { system, messages: claudeMessages } = this.convertMessages(messages);
 
         try {
-            const response = await fetch(`${this.baseUrl}/messages`, {
+            const response = await RequestHelper.fetch(`${this.baseUrl}/messages`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -128,54 +212,39 @@ const ClaudeAPI = {
                 body: JSON.stringify({
                     model: options.model || this.model,
                     max_tokens: options.maxTokens ?? 4096,
+                    temperature: options.temperature,
+                    top_p: options.topP,
+                    stop_sequences: options.stop?.length ? options.stop : undefined,
                     system: system || undefined,
                     messages: claudeMessages,
                     stream: true
                 })
-            });
+            }, options);
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
                 throw new Error(error.error?.message || `Claude API error: ${response.status}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
+            const usage = { inputTokens: 0, outputTokens: 0 };
 
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value, { stream: true });
-                    const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            const data = line.slice(6);
-
-                            try {
-                                const parsed = JSON.parse(data);
-
-                                if (parsed.type === 'content_block_delta') {
-                                    const content = parsed.delta?.text || '';
-                                    if (content) {
-                                        fullContent += content;
-                                        onChunk(content, fullContent);
-                                    }
-                                }
-                            } catch (e) {
-                                // Skip invalid JSON
-                            }
-                        }
+            await SSEParser.readJSON(response.body, (parsed) => {
+                if (parsed.type === 'content_block_delta') {
+                    const content = parsed.delta?.text || '';
+                    if (content) {
+                        fullContent += content;
+                        onChunk(content, fullContent);
                     }
+                } else if (parsed.type === 'message_start') {
+                    usage.inputTokens = parsed.message?.usage?.input_tokens || 0;
+                } else if (parsed.type === 'message_delta') {
+                    // Output tokens are cumulative
+                    usage.outputTokens = parsed.usage?.output_tokens || usage.outputTokens;
                 }
-            } finally {
-                reader.releaseLock();
-            }
+            });
 
-            return { content: fullContent, model: options.model || this.model };
+            return { content: fullContent, model: options.model || this.model, usage: usage };
         } catch (error) {
             if (error.message.includes('Failed to fetch') || error.message.includes('CORS')) {
                 throw new Error('Claude API requires CORS configuration. Consider using a backend proxy.');
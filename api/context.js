@@ -0,0 +1,142 @@
+/**
+ * Context Window
+ * Estimates how much of each model's context a conversation uses and trims it to fit
+ */
+
+const ContextWindow = {
+    // Context sizes in tokens, matched by the longest model id prefix
+    defaultSizes: {
+        'gpt-4o': 128000,
+        'gpt-4.1': 1047576,
+        'o3': 200000,
+        'o4': 200000,
+        'gemini-1.5-pro': 2097152,
+        'gemini-1.5-flash': 1048576,
+        'gemini-2.0-flash': 1048576,
+        'gemini-2.5': 1048576,
+        'claude': 200000,
+        'grok-3': 131072,
+        'grok-4': 256000
+    },
+
+    // Used for models not in the table, e.g. local models behind custom endpoints
+    fallbackSize: 8192,
+
+    // Tokens set aside for the answer when the request has no maxTokens
+    defaultReserve: 4096,
+
+    strategies: {
+        truncate: 'Drop the oldest turns',
+        pinned: 'Drop the oldest turns, keep the system prompt',
+        summarize: 'Summarize the oldest turns'
+    },
+
+    /**
+     * Context size for a model
+     * @param {string} modelKey - Model key
+     * @param {Object} options - Resolved options (contextWindow override, model variant)
+     * @returns {number} - Tokens
+     */
+    sizeFor(modelKey, options = {}) {
+        if (options.contextWindow > 0) return options.contextWindow;
+
+        const modelId = options.model || Synthesizer.models[modelKey]?.api?.model || '';
+        const match = Object.keys(this.defaultSizes)
+            .filter(prefix => modelId.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? this.defaultSizes[match] : this.fallbackSize;
+    },
+
+    /**
+     * Tokens left for the conversation once the answer's share is set aside
+     * @param {number} size - Context size
+     * @param {Object} options - Resolved options (maxTokens)
+     * @returns {number}
+     */
+    inputLimit(size, options = {}) {
+        const reserve = Math.min(options.maxTokens ?? this.defaultReserve, Math.floor(size / 2));
+        return size - reserve;
+    },
+
+    /**
+     * Trim a conversation to a token limit
+     * Whole turns are dropped from the start so the history still opens with a user message;
+     * the latest message is always kept, even if it alone is too long
+     * @param {Array} messages - Conversation
+     * @param {number} limit - Token limit for the conversation
+     * @param {Object} settings - { strategy, summary: { count, text } }
+     * @returns {Object} - { messages, tokens, dropped, summarized }
+     */
+    fit(messages, limit, settings = {}) {
+        const strategy = settings.strategy || 'truncate';
+        const tokens = Usage.estimateTokens(messages);
+        if (tokens <= limit) {
+            return { messages: messages, tokens: tokens, dropped: 0, summarized: 0 };
+        }
+
+        let pinned = strategy === 'truncate' ? [] : messages.filter(m => m.role === 'system');
+        let rest = messages.filter(m => !pinned.includes(m));
+        let summarized = 0;
+
+        // Swap the summarized turns for their summary, kept in the system prompt
+        // since some providers only take one
+        const summary = settings.summary;
+        if (strategy === 'summarize' && summary?.text && summary.count < rest.length) {
+            summarized = summary.count;
+            rest = rest.slice(summary.count);
+            const text = `Summary of the earlier conversation:\n${summary.text}`;
+            const last = pinned[pinned.length - 1];
+            pinned = last
+                ? [...pinned.slice(0, -1), { ...last, content: `${last.content}\n\n${text}` }]
+                : [{ role: 'system', content: text }];
+        }
+
+        let dropped = 0;
+        const total = () => Usage.estimateTokens([...pinned, ...rest]);
+        while (rest.length > 1 && total() > limit) {
+            rest = rest.slice(1);
+            dropped++;
+            while (rest.length > 1 && rest[0].role !== 'user') {
+                rest = rest.slice(1);
+                dropped++;
+            }
+        }
+
+        const fitted = [...pinned, ...rest];
+        return { messages: fitted, tokens: Usage.estimateTokens(fitted), dropped: dropped, summarized: summarized };
+    },
+
+    /**
+     * How many of the oldest messages to summarize so the rest fits a limit
+     * @param {Array} messages - Conversation
+     * @param {number} limit - Token limit of the smallest model
+     * @param {number} summaryTokens - Room to leave for the summary
+     * @returns {number} - Message count, 0 if everything fits
+     */
+    summaryCount(messages, limit, summaryTokens = 1000) {
+        const turns = messages.filter(m => m.role !== 'system');
+        const pinnedTokens = Usage.estimateTokens(messages.filter(m => m.role === 'system'));
+        if (Usage.estimateTokens(messages) <= limit) return 0;
+
+        let count = 0;
+        while (count < turns.length - 1 &&
+            pinnedTokens + summaryTokens + Usage.estimateTokens(turns.slice(count)) > limit) {
+            count++;
+        }
+        // End on an assistant reply so the kept history opens with a user message
+        while (count < turns.length - 1 && turns[count].role !== 'user') {
+            count++;
+        }
+        return count;
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextWindow;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.ContextWindow = ContextWindow;
+}
@@ -0,0 +1,122 @@
+/**
+ * Custom Endpoints
+ * User-configured OpenAI-compatible servers, each registered as its own provider
+ */
+
+const CustomEndpoints = {
+    storageKey: 'custom_endpoints',
+    keyPrefix: 'custom-',
+    colors: ['#8b5cf6', '#ec4899', '#f59e0b', '#14b8a6', '#ef4444', '#6366f1'],
+
+    /**
+     * Saved endpoint configs
+     * @returns {Array} - [{ id, name, baseUrl, apiKey, model, headers, vision }]
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Save endpoint configs and re-register them
+     * @param {Array} endpoints - Endpoint configs
+     */
+    save(endpoints) {
+        localStorage.setItem(this.storageKey, JSON.stringify(endpoints));
+        this.register();
+    },
+
+    /**
+     * Registry key for an endpoint
+     * @param {Object} endpoint - Endpoint config
+     * @returns {string} - Model key, e.g. 'custom-ab12cd'
+     */
+    modelKey(endpoint) {
+        return `${this.keyPrefix}${endpoint.id}`;
+    },
+
+    /**
+     * Create a short random id for a new endpoint
+     * @returns {string}
+     */
+    createId() {
+        return Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Parse "Header: value" lines into a headers object
+     * @param {string} text - One header per line
+     * @returns {Object} - Headers
+     */
+    parseHeaders(text) {
+        const headers = {};
+        (text || '').split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+            }
+        });
+        return headers;
+    },
+
+    /**
+     * Format a headers object as "Header: value" lines
+     * @param {Object} headers - Headers
+     * @returns {string}
+     */
+    formatHeaders(headers) {
+        return Object.entries(headers || {})
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+    },
+
+    /**
+     * Replace all custom providers in the registry with the saved endpoints
+     */
+    register() {
+        Object.keys(Synthesizer.models)
+            .filter(key => key.startsWith(this.keyPrefix))
+            .forEach(key => Synthesizer.unregisterProvider(key));
+
+        this.load().forEach((endpoint, index) => {
+            let host = endpoint.baseUrl;
+            try {
+                host = new URL(endpoint.baseUrl).host;
+            } catch (e) {
+                // Keep the raw URL as the vendor label
+            }
+
+            const name = endpoint.name || endpoint.model || host || 'Custom';
+            Synthesizer.registerProvider(this.modelKey(endpoint), {
+                name: name,
+                vendor: host,
+                icon: '🔌',
+                color: this.colors[index % this.colors.length],
+                accepts: endpoint.vision ? ['image', 'text'] : ['text'],
+                api: OpenAICompatibleAPI.create({
+                    name: name,
+                    baseUrl: endpoint.baseUrl,
+                    model: endpoint.model,
+                    apiKey: endpoint.apiKey,
+                    requiresKey: false,
+                    headers: endpoint.headers
+                })
+            });
+        });
+    }
+};
+
+CustomEndpoints.register();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomEndpoints;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.CustomEndpoints = CustomEndpoints;
+}
@@ -40,10 +40,36 @@ const GeminiAPI = {
                     role: 'model',
                     parts: [{ text: 'Understood. I will follow these instructions.' }]
                 });
+            } else if (msg.role === 'tool') {
+                // Results for one round of calls go back together in a single turn
+                const part = { functionResponse: { name: msg.name, response: { result: msg.content } } };
+                const previous = contents[contents.length - 1];
+                if (previous?.parts.every(p => p.functionResponse)) {
+                    previous.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
+            } else if (msg.toolCalls?.length) {
+                contents.push({
+                    role: 'model',
+                    parts: [
+                        ...(msg.content ? [{ text: msg.content }] : []),
+                        ...msg.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments || {} } }))
+                    ]
+                });
             } else {
+                const parts = msg.content ? [{ text: msg.content }] : [];
+                (msg.attachments || []).forEach(attachment => {
+                    if (attachment.kind === 'image' || attachment.kind === 'pdf') {
+                        parts.push({ inlineData: { mimeType: attachment.mimeType, data: attachment.data } });
+                    } else {
+                        parts.push({ text: Attachments.toText(attachment) });
+                    }
+                });
+
                 contents.push({
                     role: msg.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: msg.content }]
+                    parts: parts
                 });
             }
         }
@@ -51,6 +77,92 @@ const GeminiAPI = {
         return contents;
     },
 
+    /**
+     * Remove JSON schema keywords Gemini's OpenAPI subset rejects
+     * @param {Object} schema - JSON schema
+     * @returns {Object} - Schema Gemini accepts
+     */
+    toGeminiSchema(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.toGeminiSchema(item));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const result = {};
+        Object.entries(schema).forEach(([key, value]) => {
+            if (key === '$schema' || key === 'additionalProperties') return;
+            result[key] = key === 'properties'
+                ? Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, this.toGeminiSchema(prop)]))
+                : this.toGeminiSchema(value);
+        });
+        return result;
+    },
+
+    /**
+     * Tool definition as a Gemini function declaration
+     * Gemini rejects an object schema without properties, so tools that take no arguments leave parameters out
+     * @param {Object} tool - { name, description, parameters }
+     * @returns {Object}
+     */
+    toFunctionDeclaration(tool) {
+        const { parameters, ...declaration } = tool;
+        if (Object.keys(parameters?.properties || {}).length === 0) {
+            return declaration;
+        }
+        return { ...declaration, parameters: this.toGeminiSchema(parameters) };
+    },
+
+    /**
+     * Token counts in the shape every connector returns
+     * @param {Object} usage - usageMetadata { promptTokenCount, candidatesTokenCount }
+     * @returns {Object|undefined} - { inputTokens, outputTokens }
+     */
+    normalizeUsage(usage) {
+        if (!usage) return undefined;
+        return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+    },
+
+    /**
+     * Structured output fields for generationConfig in JSON mode
+     * @param {Object} options - Options with an optional responseFormat { name, schema }
+     * @returns {Object}
+     */
+    responseFormat(options) {
+        if (!options.responseFormat) return {};
+        return {
+            responseMimeType: 'application/json',
+            responseSchema: this.toGeminiSchema(options.responseFormat.schema)
+        };
+    },
+
+    /**
+     * List the models that support generateContent
+     * @param {Object} options - Request options (signal, timeout)
+     * @returns {Promise<Array>} - Sorted model ids without the 'models/' prefix
+     */
+    async listModels(options = {}) {
+        const apiKey = this.getApiKey();
+
+        if (!apiKey) {
+            throw new Error('Gemini API key not configured');
+        }
+
+        const response = await RequestHelper.fetch(`${this.baseUrl}/models?key=${apiKey}&pageSize=1000`, {}, options);
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error?.message || `Gemini API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.models || [])
+            .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''))
+            .sort();
+    },
+
     /**
      * Send a chat completion request
      * @param {Array} messages - Array of message objects {role, content}
@@ -67,7 +179,7 @@ const GeminiAPI = {
         const model = options.model || this.model;
         const contents = this.convertMessages(messages);
 
-        const response = await fetch(
+        const response = await RequestHelper.fetch(
             `${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`,
             {
                 method: 'POST',
@@ -79,16 +191,24 @@ const GeminiAPI = {
                     generationConfig: {
                         temperature: options.temperature ?? 0.7,
                         maxOutputTokens: options.maxTokens ?? 4096,
-                        topP: options.topP ?? 0.95
+                        topP: options.topP ?? 0.95,
+                        stopSequences: options.stop?.length ? options.stop : undefined,
+                        ...this.responseFormat(options)
                     },
                     safetySettings: [
                         { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
                         { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
                         { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
                         { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
-                    ]
+                    ],
+                    ...(options.tools?.length ? {
+                        tools: [{
+                            functionDeclarations: options.tools.map(tool => this.toFunctionDeclaration(tool))
+                        }]
+                    } : {})
                 })
-            }
+            },
+            options
         );
 
         if (!response.ok) {
@@ -99,11 +219,16 @@ const GeminiAPI = {
         const data = await response.json();
 
         if (data.candidates && data.candidates[0]) {
+            const parts = data.candidates[0].content?.parts || [];
             return {
-                content: data.candidates[0].content?.parts?.[0]?.text || '',
+                content: parts.map(part => part.text || '').join(''),
                 model: model,
-                usage: data.usageMetadata,
-                finishReason: data.candidates[0].finishReason
+                usage: this.normalizeUsage(data.usageMetadata),
+                finishReason: data.candidates[0].finishReason,
+                // Gemini has no call ids, so number the calls
+                toolCalls: parts
+                    .filter(part => part.functionCall)
+                    .map((part, i) => ({ id: `${part.functionCall.name}-${i}`, name: part.functionCall.name, arguments: part.functionCall.args || {} }))
             };
         }
 
@@ -126,7 +251,7 @@ const GeminiAPI = {
         const model = options.model || this.model;
         const contents = this.convertMessages(messages);
 
-        const response = await fetch(
+        const response = await RequestHelper.fetch(
             `${this.baseUrl}/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`,
             {
                 method: 'POST',
@@ -137,10 +262,14 @@ const GeminiAPI = {
                     contents: contents,
                     generationConfig: {
                         temperature: options.temperature ?? 0.7,
-                        maxOutputTokens: options.maxTokens ?? 4096
+                        maxOutputTokens: options.maxTokens ?? 4096,
+                        topP: options.topP ?? 0.95,
+                        stopSequences: options.stop?.length ? options.stop : undefined,
+                        ...this.responseFormat(options)
                     }
                 })
-            }
+            },
+            options
         );
 
         if (!response.ok) {
@@ -148,40 +277,20 @@ const GeminiAPI = {
             throw new Error(error.error?.message || `Gemini API error: ${response.status}`);
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
         let fullContent = '';
+        let usage;
 
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.candidates?.[0]?.content?.parts?.[0]?.text || '';
-                            if (content) {
-                                fullContent += content;
-                                onChunk(content, fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
-                }
+        await SSEParser.readJSON(response.body, (parsed) => {
+            const content = parsed.candidates?.[0]?.content?.parts?.[0]?.text || '';
+            if (content) {
+                fullContent += content;
+                onChunk(content, fullContent);
             }
-        } finally {
-            reader.releaseLock();
-        }
+            // Each chunk carries the running totals
+            if (parsed.usageMetadata) usage = this.normalizeUsage(parsed.usageMetadata);
+        });
 
-        return { content: fullContent, model: model };
+        return { content: fullContent, model: model, usage: usage };
     }
 };
 
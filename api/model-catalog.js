@@ -0,0 +1,130 @@
+/**
+ * Model Catalog
+ * Caches each provider's model list and registers extra variants of a provider
+ * (e.g. gpt-4o-mini next to gpt-4o) as their own columns
+ */
+
+const ModelCatalog = {
+    storageKey: 'model_catalog',
+    variantsKey: 'model_variants',
+
+    /**
+     * Cached model lists
+     * @returns {Object} - { modelKey: { models, fetchedAt } }
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Cached model list for one provider
+     * @param {string} modelKey - Model key
+     * @returns {Object|null} - { models, fetchedAt }
+     */
+    get(modelKey) {
+        return this.load()[modelKey] || null;
+    },
+
+    /**
+     * Whether a provider's connector can list its models
+     * @param {string} modelKey - Model key
+     * @returns {boolean}
+     */
+    canList(modelKey) {
+        return typeof Synthesizer.models[modelKey]?.api?.listModels === 'function';
+    },
+
+    /**
+     * Fetch a provider's model list and cache it
+     * @param {string} modelKey - Model key
+     * @param {Object} options - Request options (signal, timeout)
+     * @returns {Promise<Array>} - Model ids
+     */
+    async refresh(modelKey, options = {}) {
+        if (!this.canList(modelKey)) {
+            throw new Error(`${Synthesizer.models[modelKey]?.name || modelKey} can't list its models`);
+        }
+
+        const models = await Synthesizer.models[modelKey].api.listModels(options);
+        const catalog = this.load();
+        catalog[modelKey] = { models: models, fetchedAt: Date.now() };
+        localStorage.setItem(this.storageKey, JSON.stringify(catalog));
+        return models;
+    },
+
+    /**
+     * Saved side-by-side variants
+     * @returns {Object} - { modelKey: ['model-id', ...] }
+     */
+    loadVariants() {
+        try {
+            return JSON.parse(localStorage.getItem(this.variantsKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Save side-by-side variants and re-register them
+     * @param {Object} variants - { modelKey: ['model-id', ...] }
+     */
+    saveVariants(variants) {
+        localStorage.setItem(this.variantsKey, JSON.stringify(variants));
+        this.register();
+    },
+
+    /**
+     * Registry key for a variant
+     * @param {string} baseKey - Key of the provider it runs on
+     * @param {string} variant - Model id
+     * @returns {string} - e.g. 'chatgpt@gpt-4o-mini'
+     */
+    variantKey(baseKey, variant) {
+        return `${baseKey}@${variant}`;
+    },
+
+    /**
+     * Replace all variant providers in the registry with the saved variants
+     * Variants share their base provider's connector and key, with the model id fixed
+     */
+    register() {
+        Object.keys(Synthesizer.models)
+            .filter(key => Synthesizer.models[key].variantOf)
+            .forEach(key => Synthesizer.unregisterProvider(key));
+
+        Object.entries(this.loadVariants()).forEach(([baseKey, variants]) => {
+            const base = Synthesizer.models[baseKey];
+            if (!base?.api) return;
+
+            variants.forEach(variant => {
+                Synthesizer.registerProvider(this.variantKey(baseKey, variant), {
+                    name: `${base.name} · ${variant}`,
+                    shortName: variant,
+                    vendor: base.vendor,
+                    icon: base.icon,
+                    color: base.color,
+                    accepts: base.accepts,
+                    structuredOutput: base.structuredOutput,
+                    variantOf: baseKey,
+                    api: Object.assign(Object.create(base.api), { model: variant })
+                });
+            });
+        });
+    }
+};
+
+ModelCatalog.register();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelCatalog;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.ModelCatalog = ModelCatalog;
+}
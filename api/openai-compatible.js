@@ -0,0 +1,308 @@
+/**
+ * OpenAI-Compatible API Connector
+ * Shared chat completions client for OpenAI, Grok and any self-hosted server
+ * that speaks the same protocol (Ollama, LM Studio, vLLM, llama.cpp)
+ */
+
+const OpenAICompatibleAPI = {
+    /**
+     * Create a connector for one endpoint
+     * @param {Object} config - Endpoint configuration
+     * @param {string} config.name - Provider name used in error messages
+     * @param {string} config.baseUrl - Base URL up to and including the version, e.g. http://localhost:11434/v1
+     * @param {string} config.model - Default model id
+     * @param {string} config.keyStorage - localStorage key holding the API key
+     * @param {string} config.apiKey - Fixed API key, used when keyStorage is not set
+     * @param {boolean} config.requiresKey - Whether requests fail without a key (default true)
+     * @param {Object} config.headers - Extra request headers
+     * @param {RegExp} config.modelFilter - Keep only matching ids from the model list
+     * @param {RegExp} config.reasoningModels - Model ids that take max_completion_tokens and no sampling parameters
+     * @param {boolean} config.streamUsage - Ask for token usage in streams (default true); turned off once the server rejects it
+     * @returns {Object} - Connector with chat/streamChat/isConfigured
+     */
+    create(config) {
+        return Object.assign(Object.create(this.connector), {
+            requiresKey: true,
+            streamUsage: true,
+            headers: {},
+            ...config,
+            baseUrl: (config.baseUrl || '').replace(/\/+$/, '')
+        });
+    },
+
+    connector: {
+        /**
+         * Get API key from localStorage or the endpoint config
+         */
+        getApiKey() {
+            if (this.keyStorage) {
+                return localStorage.getItem(this.keyStorage) || '';
+            }
+            return this.apiKey || '';
+        },
+
+        /**
+         * Check if the endpoint can be called
+         */
+        isConfigured() {
+            if (this.requiresKey) {
+                return this.getApiKey().length > 0;
+            }
+            return this.baseUrl.length > 0 && (this.model || '').length > 0;
+        },
+
+        /**
+         * Build request headers, omitting Authorization when there is no key
+         * @returns {Object} - Headers
+         */
+        buildHeaders() {
+            const apiKey = this.getApiKey();
+
+            if (!apiKey && this.requiresKey) {
+                throw new Error(`${this.name} API key not configured`);
+            }
+
+            return {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                ...this.headers
+            };
+        },
+
+        /**
+         * Convert messages to chat completions format, with attachments as content parts
+         * @param {Array} messages - Standard message format
+         * @returns {Array} - OpenAI format messages
+         */
+        convertMessages(messages) {
+            return messages.map(msg => {
+                if (msg.role === 'tool') {
+                    return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+                }
+
+                if (msg.toolCalls?.length) {
+                    return {
+                        role: 'assistant',
+                        content: msg.content || null,
+                        tool_calls: msg.toolCalls.map(call => ({
+                            id: call.id,
+                            type: 'function',
+                            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                        }))
+                    };
+                }
+
+                if (!msg.attachments?.length) {
+                    return { role: msg.role, content: msg.content };
+                }
+
+                const parts = msg.content ? [{ type: 'text', text: msg.content }] : [];
+                msg.attachments.forEach(attachment => {
+                    if (attachment.kind === 'image') {
+                        parts.push({ type: 'image_url', image_url: { url: Attachments.toDataUrl(attachment) } });
+                    } else if (attachment.kind === 'pdf') {
+                        parts.push({ type: 'file', file: { filename: attachment.name, file_data: Attachments.toDataUrl(attachment) } });
+                    } else {
+                        parts.push({ type: 'text', text: Attachments.toText(attachment) });
+                    }
+                });
+
+                return { role: msg.role, content: parts };
+            });
+        },
+
+        /**
+         * Send a chat completion request
+         * @param {Array} messages - Array of message objects {role, content}
+         * @param {Object} options - Additional options
+         * @returns {Promise<Object>} - Response object
+         */
+        async chat(messages, options = {}) {
+            const response = await RequestHelper.fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: this.buildHeaders(),
+                body: JSON.stringify({
+                    model: options.model || this.model,
+                    messages: this.convertMessages(messages),
+                    ...this.samplingParams(options),
+                    stop: options.stop?.length ? options.stop : undefined,
+                    stream: false,
+                    ...this.responseFormat(options),
+                    ...(options.tools?.length ? {
+                        tools: options.tools.map(tool => ({ type: 'function', function: tool }))
+                    } : {})
+                })
+            }, options);
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error?.message || `${this.name} API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const message = data.choices[0]?.message;
+            return {
+                content: message?.content || '',
+                model: data.model,
+                usage: this.normalizeUsage(data.usage),
+                finishReason: data.choices[0]?.finish_reason,
+                toolCalls: (message?.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: this.parseArguments(call.function.arguments)
+                }))
+            };
+        },
+
+        /**
+         * List the model ids the endpoint serves
+         * @param {Object} options - Request options (signal, timeout)
+         * @returns {Promise<Array>} - Sorted model ids
+         */
+        async listModels(options = {}) {
+            const response = await RequestHelper.fetch(`${this.baseUrl}/models`, {
+                headers: this.buildHeaders()
+            }, options);
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error?.message || `${this.name} API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return (data.data || [])
+                .map(model => model.id)
+                .filter(id => !this.modelFilter || this.modelFilter.test(id))
+                .sort();
+        },
+
+        /**
+         * Error message from a failed response body
+         * @param {string} text - Response body
+         * @param {number} status - HTTP status
+         * @returns {string}
+         */
+        errorMessage(text, status) {
+            try {
+                const error = JSON.parse(text);
+                return error.error?.message || error.message || `${this.name} API error: ${status}`;
+            } catch (e) {
+                return `${this.name} API error: ${status}`;
+            }
+        },
+
+        /**
+         * Sampling and length fields, only the ones the user set so each model keeps its own defaults
+         * Reasoning models reject max_tokens and any non-default temperature or top_p
+         * @param {Object} options - Options with temperature, topP and maxTokens
+         * @returns {Object} - Body fields to merge into the request
+         */
+        samplingParams(options) {
+            if (this.reasoningModels?.test(options.model || this.model)) {
+                return { max_completion_tokens: options.maxTokens };
+            }
+            return { temperature: options.temperature, top_p: options.topP, max_tokens: options.maxTokens };
+        },
+
+        /**
+         * Structured output request fields for JSON mode
+         * @param {Object} options - Options with an optional responseFormat { name, schema }
+         * @returns {Object} - Body fields to merge into the request
+         */
+        responseFormat(options) {
+            if (!options.responseFormat) return {};
+            return {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: options.responseFormat.name || 'response', schema: options.responseFormat.schema }
+                }
+            };
+        },
+
+        /**
+         * Token counts in the shape every connector returns
+         * @param {Object} usage - { prompt_tokens, completion_tokens }
+         * @returns {Object|undefined} - { inputTokens, outputTokens }
+         */
+        normalizeUsage(usage) {
+            if (!usage) return undefined;
+            return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+        },
+
+        /**
+         * Parse tool call arguments, which arrive as a JSON string
+         * @param {string} text - Arguments JSON
+         * @returns {Object}
+         */
+        parseArguments(text) {
+            try {
+                return JSON.parse(text || '{}');
+            } catch (e) {
+                return { _raw: text };
+            }
+        },
+
+        /**
+         * Stream chat completion with callback
+         * @param {Array} messages - Array of message objects
+         * @param {Function} onChunk - Callback for each chunk
+         * @param {Object} options - Additional options
+         */
+        async streamChat(messages, onChunk, options = {}) {
+            const send = (includeUsage) => RequestHelper.fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: this.buildHeaders(),
+                body: JSON.stringify({
+                    model: options.model || this.model,
+                    messages: this.convertMessages(messages),
+                    ...this.samplingParams(options),
+                    stop: options.stop?.length ? options.stop : undefined,
+                    stream: true,
+                    ...(includeUsage ? { stream_options: { include_usage: true } } : {}),
+                    ...this.responseFormat(options)
+                })
+            }, options);
+
+            let response = await send(this.streamUsage);
+            // Many self-hosted servers reject the unknown stream_options field with a 400;
+            // retry without it only for that error, reading the body so the first connection closes
+            if (response.status === 400 && this.streamUsage) {
+                const text = await response.text().catch(() => '');
+                if (!/stream_options/.test(text)) {
+                    throw new Error(this.errorMessage(text, response.status));
+                }
+                response = await send(false);
+                if (response.ok) this.streamUsage = false;
+            }
+
+            if (!response.ok) {
+                throw new Error(this.errorMessage(await response.text().catch(() => ''), response.status));
+            }
+
+            let fullContent = '';
+            let usage;
+
+            await SSEParser.readJSON(response.body, (parsed) => {
+                const content = parsed.choices?.[0]?.delta?.content || '';
+                if (content) {
+                    fullContent += content;
+                    onChunk(content, fullContent);
+                }
+                // With include_usage the last chunk carries the totals
+                if (parsed.usage) usage = this.normalizeUsage(parsed.usage);
+            });
+
+            return { content: fullContent, model: options.model || this.model, usage: usage };
+        }
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenAICompatibleAPI;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.OpenAICompatibleAPI = OpenAICompatibleAPI;
+}
@@ -0,0 +1,114 @@
+/**
+ * Pipelines
+ * Saved chains of steps where models run one after another, e.g. draft, review, refine
+ */
+
+const Pipelines = {
+    storageKey: 'pipelines',
+    activeKey: 'active_pipeline',
+
+    // Prompts for new steps; {{question}} is the user's message, {{previous}} the step before's output
+    defaultPrompts: {
+        first: '{{question}}',
+        next: 'Question:\n{{question}}\n\nAnswer from the previous step:\n{{previous}}\n\n' +
+            'Review this answer, fix anything wrong or missing, and write an improved final answer.'
+    },
+
+    /**
+     * Saved pipelines
+     * @returns {Array} - [{ id, name, steps: [{ model, label, prompt }] }]
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Save pipelines, clearing the selection if its pipeline was removed
+     * @param {Array} pipelines - Pipelines
+     */
+    save(pipelines) {
+        localStorage.setItem(this.storageKey, JSON.stringify(pipelines));
+        if (!this.getActive()) {
+            this.setActive(null);
+        }
+    },
+
+    /**
+     * Create a short random id for a new pipeline
+     * @returns {string}
+     */
+    createId() {
+        return Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Pipeline chosen in the composer
+     * @returns {Object|null} - Pipeline, or null to ask the selected models in parallel
+     */
+    getActive() {
+        const id = localStorage.getItem(this.activeKey);
+        return this.load().find(pipeline => pipeline.id === id) || null;
+    },
+
+    /**
+     * Choose the pipeline the composer runs
+     * @param {string|null} id - Pipeline id, or null for parallel mode
+     */
+    setActive(id) {
+        if (id) {
+            localStorage.setItem(this.activeKey, id);
+        } else {
+            localStorage.removeItem(this.activeKey);
+        }
+    },
+
+    /**
+     * Problem that keeps a pipeline from running
+     * @param {Object} pipeline - Pipeline
+     * @returns {string|null} - Reason, or null if it can run
+     */
+    validate(pipeline) {
+        if (!pipeline.steps.length) return 'it has no steps';
+
+        const unknown = pipeline.steps.find(step => !Synthesizer.models[step.model]);
+        if (unknown) return `${unknown.model || 'a step'} is not an available model`;
+
+        const unavailable = pipeline.steps.find(step => Synthesizer.inactiveReason(step.model));
+        if (unavailable) {
+            return `${Synthesizer.models[unavailable.model].name}: ${Synthesizer.inactiveReason(unavailable.model)}`;
+        }
+        return null;
+    },
+
+    /**
+     * Fill a step's prompt template
+     * Supports {{question}}, {{previous}} and {{step1}}, {{step2}}... for earlier outputs
+     * @param {string} template - Prompt template
+     * @param {string} question - The user's message
+     * @param {Array} outputs - Outputs of the steps so far
+     * @returns {string}
+     */
+    fillTemplate(template, question, outputs) {
+        return (template || this.defaultPrompts.first).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (name === 'question') return question;
+            if (name === 'previous') return outputs[outputs.length - 1] || '';
+
+            const step = /^step(\d+)$/.exec(name);
+            return step ? (outputs[Number(step[1]) - 1] || '') : match;
+        });
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pipelines;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Pipelines = Pipelines;
+}
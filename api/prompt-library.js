@@ -0,0 +1,132 @@
+/**
+ * Prompt Library
+ * Saved prompt templates with {{variables}}, shown on the welcome screen and in the composer
+ */
+
+const PromptLibrary = {
+    storageKey: 'prompt_library',
+
+    // Starter templates until the user saves their own
+    defaultTemplates: [
+        { id: 'explain', name: 'Explain simply', category: 'Learning', icon: '🔬', text: 'Explain {{topic}} in simple terms' },
+        { id: 'code', name: 'Write a function', category: 'Coding', icon: '💻', text: 'Write a {{language}} function to {{task}}' },
+        { id: 'compare', name: 'Compare two options', category: 'Analysis', icon: '⚖️', text: 'Compare the pros and cons of {{option_a}} vs {{option_b}}' },
+        { id: 'practices', name: 'Best practices', category: 'Learning', icon: '🌐', text: 'What are the best practices for {{subject}}?' }
+    ],
+
+    /**
+     * Saved templates, or the starter set if none were saved yet
+     * @returns {Array} - [{ id, name, category, icon, text }]
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : this.defaultTemplates.map(template => ({ ...template }));
+        } catch (e) {
+            return this.defaultTemplates.map(template => ({ ...template }));
+        }
+    },
+
+    /**
+     * Save templates
+     * @param {Array} templates - Templates
+     */
+    save(templates) {
+        localStorage.setItem(this.storageKey, JSON.stringify(templates));
+    },
+
+    /**
+     * Create a short random id for a new template
+     * @returns {string}
+     */
+    createId() {
+        return Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Variable names in a template, in order of first use
+     * @param {string} text - Template text
+     * @returns {Array}
+     */
+    variables(text) {
+        return [...new Set([...(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+    },
+
+    /**
+     * Fill a template's variables; unfilled ones are left as written
+     * @param {string} text - Template text
+     * @param {Object} values - { name: value }
+     * @returns {string}
+     */
+    fill(text, values) {
+        return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ? values[name] : match);
+    },
+
+    /**
+     * Categories in use, sorted
+     * @param {Array} templates - Templates
+     * @returns {Array}
+     */
+    categories(templates = this.load()) {
+        return [...new Set(templates.map(template => template.category).filter(Boolean))].sort();
+    },
+
+    /**
+     * Templates matching a search in their name, category or text
+     * @param {Array} templates - Templates
+     * @param {string} query - Search text
+     * @param {string} category - Optional category to limit to
+     * @returns {Array}
+     */
+    search(templates, query, category) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return templates
+            .filter(template => !category || template.category === category)
+            .filter(template => {
+                const haystack = `${template.name} ${template.category || ''} ${template.text}`.toLowerCase();
+                return words.every(word => haystack.includes(word));
+            });
+    },
+
+    /**
+     * Templates from an exported file, with missing fields filled in
+     * @param {*} data - Parsed JSON, either { templates: [...] } or an array
+     * @returns {Array|null} - Templates, or null if the file holds none
+     */
+    parseImport(data) {
+        const list = Array.isArray(data) ? data : data?.templates;
+        if (!Array.isArray(list)) return null;
+
+        const templates = list
+            .filter(template => template && typeof template.name === 'string' && typeof template.text === 'string')
+            .map(template => ({
+                id: typeof template.id === 'string' && template.id ? template.id : this.createId(),
+                name: template.name.trim(),
+                category: typeof template.category === 'string' ? template.category.trim() : '',
+                icon: typeof template.icon === 'string' && template.icon ? template.icon : '📝',
+                text: template.text
+            }));
+        return templates.length ? templates : null;
+    },
+
+    /**
+     * Add imported templates, replacing saved ones with the same id
+     * @param {Array} templates - Saved templates
+     * @param {Array} imported - Templates from parseImport
+     * @returns {Array}
+     */
+    merge(templates, imported) {
+        const ids = new Set(imported.map(template => template.id));
+        return [...templates.filter(template => !ids.has(template.id)), ...imported];
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLibrary;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.PromptLibrary = PromptLibrary;
+}
@@ -0,0 +1,57 @@
+/**
+ * Built-in Providers
+ * Registers the bundled connectors with the Synthesizer provider registry
+ */
+
+Synthesizer.registerProvider('chatgpt', {
+    name: 'ChatGPT',
+    shortName: 'GPT',
+    vendor: 'OpenAI',
+    icon: '🤖',
+    color: '#10a37f',
+    api: OpenAIAPI,
+    accepts: ['image', 'pdf', 'text'],
+    structuredOutput: true,
+    credentials: [
+        { id: 'apiKey', label: 'OpenAI API Key', placeholder: 'sk-...', storageKey: 'openai_api_key', type: 'password' }
+    ]
+});
+
+Synthesizer.registerProvider('gemini', {
+    name: 'Gemini',
+    vendor: 'Google',
+    icon: '✨',
+    color: '#4285f4',
+    api: GeminiAPI,
+    accepts: ['image', 'pdf', 'text'],
+    structuredOutput: true,
+    credentials: [
+        { id: 'apiKey', label: 'Gemini API Key', placeholder: 'AIza...', storageKey: 'gemini_api_key', type: 'password' }
+    ]
+});
+
+Synthesizer.registerProvider('claude', {
+    name: 'Claude',
+    vendor: 'Anthropic',
+    icon: '🧠',
+    color: '#cc785c',
+    api: ClaudeAPI,
+    accepts: ['image', 'pdf', 'text'],
+    credentials: [
+        { id: 'apiKey', label: 'Claude API Key', placeholder: 'sk-ant-...', storageKey: 'claude_api_key', type: 'password' }
+    ]
+});
+
+Synthesizer.registerProvider('grok', {
+    name: 'Grok',
+    vendor: 'xAI',
+    icon: '𝕏',
+    // Follows the theme: white on dark, black on light
+    color: 'var(--grok-color)',
+    api: GrokAPI,
+    accepts: ['text'],
+    structuredOutput: true,
+    credentials: [
+        { id: 'apiKey', label: 'Grok API Key', placeholder: 'xai-...', storageKey: 'grok_api_key', type: 'password' }
+    ]
+});
@@ -0,0 +1,136 @@
+/**
+ * Request Helper
+ * fetch wrapper with timeouts and retries for rate limits and server errors
+ */
+
+const RequestHelper = {
+    defaultTimeout: 60000,
+    defaultMaxRetries: 2,
+    baseDelay: 1000,
+    maxDelay: 30000,
+
+    /**
+     * Whether a response status is worth retrying
+     * @param {number} status - HTTP status
+     * @returns {boolean}
+     */
+    isRetryable(status) {
+        return status === 429 || status >= 500;
+    },
+
+    /**
+     * Delay before the next attempt
+     * Honors Retry-After, otherwise exponential backoff with jitter
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {Response} response - Failed response
+     * @returns {number} - Delay in milliseconds
+     */
+    retryDelay(attempt, response) {
+        const retryAfter = response?.headers?.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (!isNaN(seconds)) {
+                return Math.min(seconds * 1000, this.maxDelay);
+            }
+
+            const date = Date.parse(retryAfter);
+            if (!isNaN(date)) {
+                return Math.min(Math.max(0, date - Date.now()), this.maxDelay);
+            }
+        }
+
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return backoff / 2 + Math.random() * (backoff / 2);
+    },
+
+    /**
+     * Wait for a delay, rejecting early if the signal aborts
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<void>}
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The request was aborted', 'AbortError'));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was aborted', 'AbortError'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    /**
+     * fetch with a timeout and automatic retries for 429/5xx responses
+     * The timeout covers the wait until the provider starts responding
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch init
+     * @param {Object} options - { signal, timeout, maxRetries, onRetry }
+     * @returns {Promise<Response>} - The last response received
+     */
+    async fetch(url, init, options = {}) {
+        const signal = options.signal;
+        const timeout = options.timeout ?? this.defaultTimeout;
+        const maxRetries = options.maxRetries ?? this.defaultMaxRetries;
+
+        for (let attempt = 0; ; attempt++) {
+            // One controller per attempt so a timeout only cancels that attempt
+            const controller = new AbortController();
+            const onAbort = () => controller.abort();
+            if (signal?.aborted) controller.abort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            let timedOut = false;
+            const timer = timeout > 0 ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout) : null;
+
+            let response;
+            try {
+                response = await fetch(url, { ...init, signal: controller.signal });
+            } catch (error) {
+                signal?.removeEventListener('abort', onAbort);
+                if (timedOut && !signal?.aborted) {
+                    throw new Error(`Request timed out after ${Math.round(timeout / 1000)}s`);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!this.isRetryable(response.status) || attempt >= maxRetries) {
+                // Keep the abort link alive so the caller can still cancel a streaming body
+                return response;
+            }
+
+            signal?.removeEventListener('abort', onAbort);
+            response.body?.cancel().catch(() => {});
+            const delay = this.retryDelay(attempt, response);
+            if (options.onRetry) {
+                options.onRetry({ attempt: attempt + 1, status: response.status, delay: Math.round(delay) });
+            }
+
+            await this.sleep(delay, signal);
+        }
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestHelper;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.RequestHelper = RequestHelper;
+}
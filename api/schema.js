@@ -0,0 +1,237 @@
+/**
+ * Schema Validator
+ * JSON output mode: prompt instructions, local JSON schema validation and field comparison
+ */
+
+const SchemaValidator = {
+    /**
+     * System prompt for providers without a native structured-output option
+     * @param {Object} schema - JSON schema
+     * @returns {string}
+     */
+    instructions(schema) {
+        return 'Respond only with a single JSON value that matches this JSON schema. ' +
+            'Do not wrap it in Markdown and do not add any text before or after it.\n\n' +
+            JSON.stringify(schema, null, 2);
+    },
+
+    /**
+     * Parse the JSON in a response, tolerating Markdown code fences and surrounding text
+     * @param {string} content - Response text
+     * @returns {*} - Parsed value
+     */
+    parse(content) {
+        const text = (content || '').trim();
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const candidate = fenced ? fenced[1].trim() : text;
+
+        try {
+            return JSON.parse(candidate);
+        } catch (error) {
+            // Fall back to the outermost object or array in the text
+            const start = candidate.search(/[{[]/);
+            const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+            if (start !== -1 && end > start) {
+                return JSON.parse(candidate.slice(start, end + 1));
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * JSON schema type of a value
+     * @param {*} value - Any JSON value
+     * @returns {string}
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    },
+
+    /**
+     * Validate a value against a schema
+     * Supports type, enum, const, properties, required, additionalProperties, items,
+     * anyOf/oneOf, min/max, minLength/maxLength, pattern and minItems/maxItems
+     * @param {*} value - Parsed JSON value
+     * @param {Object} schema - JSON schema
+     * @param {string} path - Path of the value, '$' for the root
+     * @returns {Array} - Errors [{ path, message }], empty if valid
+     */
+    validate(value, schema, path = '$') {
+        if (!schema || typeof schema !== 'object') return [];
+
+        const errors = [];
+        const type = this.typeOf(value);
+
+        if (schema.type) {
+            const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const matches = allowed.some(t => t === type || (t === 'number' && type === 'integer'));
+            if (!matches) {
+                return [{ path, message: `expected ${allowed.join(' or ')}, got ${type}` }];
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push({ path, message: `must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` });
+        }
+        if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+
+        const variants = schema.anyOf || schema.oneOf;
+        if (variants && !variants.some(variant => this.validate(value, variant, path).length === 0)) {
+            errors.push({ path, message: 'does not match any allowed schema' });
+        }
+
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be ≥ ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be ≤ ${schema.maximum}` });
+            }
+        }
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern) {
+                // A bad pattern in a user-written schema is a validation error, not a failed answer
+                let pattern = null;
+                try {
+                    pattern = new RegExp(schema.pattern);
+                } catch (e) {
+                    errors.push({ path, message: `schema pattern /${schema.pattern}/ is not a valid regular expression` });
+                }
+                if (pattern && !pattern.test(value)) {
+                    errors.push({ path, message: `must match /${schema.pattern}/` });
+                }
+            }
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+            }
+            if (schema.items) {
+                value.forEach((item, i) => errors.push(...this.validate(item, schema.items, `${path}[${i}]`)));
+            }
+        }
+
+        if (type === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(name => {
+                if (!(name in value)) {
+                    errors.push({ path: `${path}.${name}`, message: 'is required' });
+                }
+            });
+            Object.entries(value).forEach(([name, propertyValue]) => {
+                if (properties[name]) {
+                    errors.push(...this.validate(propertyValue, properties[name], `${path}.${name}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: `${path}.${name}`, message: 'is not allowed' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...this.validate(propertyValue, schema.additionalProperties, `${path}.${name}`));
+                }
+            });
+        }
+
+        return errors;
+    },
+
+    /**
+     * Parse and validate a response
+     * @param {string} content - Response text
+     * @param {Object} schema - JSON schema
+     * @returns {Object} - { valid, value, errors } where errors may hold a parse error at '$'
+     */
+    check(content, schema) {
+        let value;
+        try {
+            value = this.parse(content);
+        } catch (error) {
+            return { valid: false, value: undefined, errors: [{ path: '$', message: 'is not valid JSON' }] };
+        }
+
+        const errors = this.validate(value, schema);
+        return { valid: errors.length === 0, value, errors };
+    },
+
+    /**
+     * Flatten a value into leaf paths
+     * @param {*} value - Parsed JSON value
+     * @param {string} path - Path prefix
+     * @param {Object} result - Accumulator
+     * @returns {Object} - { '$.a.b': leaf, '$.list[0]': leaf, ... }
+     */
+    flatten(value, path = '$', result = {}) {
+        const type = this.typeOf(value);
+
+        if (type === 'object' && Object.keys(value).length > 0) {
+            Object.entries(value).forEach(([name, v]) => this.flatten(v, `${path}.${name}`, result));
+        } else if (type === 'array' && value.length > 0 && value.some(v => v !== null && typeof v === 'object')) {
+            value.forEach((v, i) => this.flatten(v, `${path}[${i}]`, result));
+        } else {
+            result[path] = value;
+        }
+
+        return result;
+    },
+
+    /**
+     * Field-by-field comparison of the parsed responses
+     * @param {Object} responses - Responses keyed by model, each with a validation from check()
+     * @returns {Object} - { models, rows: [{ path, values: { model: value }, errors: { model: message }, agree }] }
+     */
+    compare(responses) {
+        const entries = Object.entries(responses)
+            .filter(([_, r]) => r.validation && r.validation.value !== undefined);
+        const models = entries.map(([model]) => model);
+        const flattened = entries.map(([_, r]) => this.flatten(r.validation.value));
+
+        const paths = [];
+        flattened.forEach(fields => {
+            Object.keys(fields).forEach(path => {
+                if (!paths.includes(path)) paths.push(path);
+            });
+        });
+        // Required fields that nobody returned still get a row
+        entries.forEach(([_, r]) => r.validation.errors.forEach(error => {
+            if (error.message === 'is required' && !paths.includes(error.path)) paths.push(error.path);
+        }));
+
+        const rows = paths.map(path => {
+            const values = {};
+            const errors = {};
+            entries.forEach(([model, r], i) => {
+                if (path in flattened[i]) values[model] = flattened[i][path];
+                const error = r.validation.errors.find(e => e.path === path);
+                if (error) errors[model] = error.message;
+            });
+
+            const distinct = new Set(models.map(model => JSON.stringify(values[model])));
+            return { path, values, errors, agree: distinct.size === 1 };
+        });
+
+        return { models, rows };
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.SchemaValidator = SchemaValidator;
+}
@@ -0,0 +1,115 @@
+/**
+ * Response Similarity
+ * Local TF-IDF/cosine similarity between model responses
+ */
+
+const Similarity = {
+    // How far below the consensus a model's average must be to count as the outlier
+    outlierMargin: 0.15,
+
+    /**
+     * Build TF-IDF vectors for a set of documents
+     * @param {Array} documents - Array of strings
+     * @returns {Array} - Array of Map(term -> weight)
+     */
+    tfidf(documents) {
+        const termCounts = documents.map(doc => {
+            const counts = new Map();
+            ClaimAnalyzer.tokenize(doc).forEach(term => {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            });
+            return counts;
+        });
+
+        const documentFrequency = new Map();
+        termCounts.forEach(counts => {
+            counts.forEach((_, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        // Smoothed IDF so terms shared by every response still carry some weight
+        const total = documents.length;
+        return termCounts.map(counts => {
+            const vector = new Map();
+            counts.forEach((count, term) => {
+                const idf = Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+                vector.set(term, count * idf);
+            });
+            return vector;
+        });
+    },
+
+    /**
+     * Cosine similarity between two sparse vectors
+     * @param {Map} a - Term weights
+     * @param {Map} b - Term weights
+     * @returns {number} - Similarity between 0 and 1
+     */
+    cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        a.forEach((weight, term) => {
+            normA += weight * weight;
+            if (b.has(term)) dot += weight * b.get(term);
+        });
+        b.forEach(weight => {
+            normB += weight * weight;
+        });
+
+        if (normA === 0 || normB === 0) return 0;
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    },
+
+    /**
+     * Pairwise similarity matrix and consensus score for successful responses
+     * @param {Object} responses - Responses keyed by model
+     * @returns {Object|null} - { models, matrix, consensus, outlier } or null if fewer than 2 responses
+     */
+    compare(responses) {
+        const successful = Object.entries(responses)
+            .filter(([_, r]) => r.success && r.content);
+
+        if (successful.length < 2) {
+            return null;
+        }
+
+        const models = successful.map(([model]) => model);
+        const vectors = this.tfidf(successful.map(([_, r]) => r.content));
+        const round = value => Math.round(value * 100) / 100;
+
+        const matrix = vectors.map((a, i) =>
+            vectors.map((b, j) => (i === j ? 1 : round(this.cosine(a, b))))
+        );
+
+        // Average similarity of each model to every other model
+        const averages = matrix.map((row, i) =>
+            row.reduce((sum, value, j) => (i === j ? sum : sum + value), 0) / (models.length - 1)
+        );
+        const consensus = round(averages.reduce((sum, value) => sum + value, 0) / models.length);
+
+        let outlier = null;
+        if (models.length >= 3) {
+            const lowest = averages.indexOf(Math.min(...averages));
+            const others = averages.filter((_, i) => i !== lowest);
+            const othersAverage = others.reduce((sum, value) => sum + value, 0) / others.length;
+            if (othersAverage - averages[lowest] >= this.outlierMargin) {
+                outlier = models[lowest];
+            }
+        }
+
+        return { models, matrix, consensus, outlier };
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Similarity;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Similarity = Similarity;
+}
@@ -0,0 +1,137 @@
+/**
+ * SSE Parser
+ * Server-sent event stream parsing shared by all streaming connectors
+ * Buffers partial lines so events split across network reads are not lost
+ */
+
+const SSEParser = {
+    /**
+     * Create an incremental parser
+     * @param {Function} onEvent - Called with { event, data, id } for each complete event
+     * @returns {Object} - { feed(text), end() }
+     */
+    create(onEvent) {
+        let buffer = '';
+        let eventName = '';
+        let dataLines = [];
+        let lastId = '';
+
+        const dispatch = () => {
+            if (dataLines.length > 0) {
+                onEvent({ event: eventName || 'message', data: dataLines.join('\n'), id: lastId });
+            }
+            eventName = '';
+            dataLines = [];
+        };
+
+        const processLine = (line) => {
+            if (line === '') {
+                dispatch();
+                return;
+            }
+
+            // Comment / keep-alive
+            if (line.startsWith(':')) return;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value.startsWith(' ')) value = value.slice(1);
+
+            if (field === 'data') {
+                dataLines.push(value);
+            } else if (field === 'event') {
+                eventName = value;
+            } else if (field === 'id') {
+                lastId = value;
+            }
+        };
+
+        return {
+            /**
+             * Add decoded text; complete lines are processed, the rest is kept
+             * @param {string} text - Decoded chunk
+             */
+            feed(text) {
+                buffer += text;
+
+                // A trailing \r may be the first half of \r\n, wait for the next chunk
+                const held = buffer.endsWith('\r') ? '\r' : '';
+                const lines = (held ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+                buffer = lines.pop() + held;
+
+                lines.forEach(processLine);
+            },
+
+            /**
+             * Flush at end of stream, dispatching an event left without a blank line
+             */
+            end() {
+                if (buffer !== '') buffer.split(/\r\n|\r|\n/).forEach(processLine);
+                buffer = '';
+                dispatch();
+            }
+        };
+    },
+
+    /**
+     * Read a response body and report every event
+     * @param {ReadableStream} body - Response body
+     * @param {Function} onEvent - Called with { event, data, id }
+     */
+    async read(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        const parser = this.create(onEvent);
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                parser.feed(decoder.decode(value, { stream: true }));
+            }
+            parser.feed(decoder.decode());
+            parser.end();
+        } finally {
+            reader.releaseLock();
+        }
+    },
+
+    /**
+     * Read a stream of JSON events, throwing on provider error events
+     * @param {ReadableStream} body - Response body
+     * @param {Function} onData - Called with (parsed, eventName) for each JSON payload
+     */
+    async readJSON(body, onData) {
+        await this.read(body, ({ event, data }) => {
+            if (data === '[DONE]') return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                if (event === 'error') throw new Error(data);
+                // Skip non-JSON payloads such as pings
+                return;
+            }
+
+            if (event === 'error' || parsed?.error || parsed?.type === 'error') {
+                // An error event may carry `null` or a bare value instead of an object
+                const error = parsed?.error ?? parsed ?? data;
+                throw new Error(typeof error === 'string' ? error : error.message || 'Stream error');
+            }
+
+            onData(parsed, event);
+        });
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SSEParser;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.SSEParser = SSEParser;
+}
@@ -4,50 +4,508 @@
  */
 
 const Synthesizer = {
-    models: {
-        chatgpt: { name: 'ChatGPT', icon: '🤖', api: 'OpenAIAPI', color: '#10a37f' },
-        gemini: { name: 'Gemini', icon: '✨', api: 'GeminiAPI', color: '#4285f4' },
-        claude: { name: 'Claude', icon: '🧠', api: 'ClaudeAPI', color: '#cc785c' },
-        grok: { name: 'Grok', icon: '𝕏', api: 'GrokAPI', color: '#ffffff' }
+    // Provider registry, filled by registerProvider (see api/providers.js)
+    models: {},
+
+    /**
+     * Register a provider so it shows up in the model selector and settings
+     * @param {string} key - Unique model key, e.g. 'chatgpt'
+     * @param {Object} definition - Provider definition
+     * @param {string} definition.name - Display name
+     * @param {string} definition.shortName - Name shown in the model pill (defaults to name)
+     * @param {string} definition.vendor - Company or host, shown in tooltips
+     * @param {string} definition.icon - Emoji or short text icon
+     * @param {string} definition.color - CSS color for borders and highlights
+     * @param {Array} definition.credentials - Settings fields [{ id, label, placeholder, storageKey, type, optional }]
+     * @param {Array} definition.accepts - Attachment kinds the provider can read: 'image', 'pdf', 'text' (default ['text'])
+     * @param {boolean} definition.structuredOutput - Connector honors options.responseFormat natively (default false)
+     * @param {string} definition.variantOf - Key of the provider this one runs another model of, e.g. 'chatgpt'
+     * @param {Object} definition.api - Connector with chat/streamChat/isConfigured, used for any function not given
+     * @param {Function} definition.chat - (messages, options) => Promise<{ content, model, usage: { inputTokens, outputTokens } }>
+     * @param {Function} definition.streamChat - (messages, onChunk, options) => Promise<{ content, model, usage }>
+     * @param {Function} definition.isConfigured - () => boolean, defaults to all required credentials being set
+     * @returns {Object} - The registered provider
+     */
+    registerProvider(key, definition) {
+        const api = definition.api;
+        const credentials = definition.credentials || [];
+
+        const provider = {
+            key: key,
+            name: definition.name,
+            shortName: definition.shortName || definition.name,
+            vendor: definition.vendor || '',
+            icon: definition.icon || '🤖',
+            color: definition.color || 'var(--accent-primary)',
+            credentials: credentials,
+            accepts: definition.accepts || ['text'],
+            structuredOutput: definition.structuredOutput || false,
+            variantOf: definition.variantOf || null,
+            api: api,
+            chat: definition.chat || ((messages, options) => api.chat(messages, options)),
+            streamChat: definition.streamChat || ((messages, onChunk, options) => api.streamChat(messages, onChunk, options)),
+            isConfigured: definition.isConfigured || (api ? () => api.isConfigured() : () =>
+                credentials
+                    .filter(field => !field.optional)
+                    .every(field => (localStorage.getItem(field.storageKey) || '').length > 0)
+            )
+        };
+
+        this.models[key] = provider;
+        return provider;
+    },
+
+    /**
+     * Remove a provider from the registry
+     * @param {string} key - Model key
+     */
+    unregisterProvider(key) {
+        delete this.models[key];
+    },
+
+    // Tools models may call, filled by registerTool (see api/tools.js)
+    tools: {},
+
+    // Model/tool round trips allowed per answer before giving up
+    maxToolRounds: 5,
+
+    /**
+     * Register a tool every provider can call
+     * @param {string} name - Tool name, letters, digits and underscores
+     * @param {Object} definition - Tool definition
+     * @param {string} definition.description - What the tool does, shown to the model
+     * @param {Object} definition.parameters - JSON schema for the arguments object
+     * @param {Function} definition.handler - (args, { signal }) => result, may be async
+     * @returns {Object} - The registered tool
+     */
+    registerTool(name, definition) {
+        const tool = {
+            name: name,
+            description: definition.description || '',
+            parameters: definition.parameters || { type: 'object', properties: {} },
+            handler: definition.handler
+        };
+
+        this.tools[name] = tool;
+        return tool;
+    },
+
+    /**
+     * Remove a tool
+     * @param {string} name - Tool name
+     */
+    unregisterTool(name) {
+        delete this.tools[name];
+    },
+
+    /**
+     * Provider-neutral definitions sent to connectors as options.tools
+     * @param {Array} names - Tool names
+     * @returns {Array} - [{ name, description, parameters }]
+     */
+    getToolDefinitions(names) {
+        return names
+            .filter(name => this.tools[name])
+            .map(name => {
+                const { handler, ...definition } = this.tools[name];
+                return definition;
+            });
+    },
+
+    /**
+     * Run a tool call with its local handler
+     * @param {Object} call - { id, name, arguments }
+     * @param {AbortSignal} signal - Abort signal of the model request
+     * @returns {Promise<Object>} - { output, error }
+     */
+    async executeTool(call, signal) {
+        const tool = this.tools[call.name];
+        if (!tool) {
+            return { output: `Error: unknown tool "${call.name}"`, error: true };
+        }
+
+        try {
+            const result = await tool.handler(call.arguments || {}, { signal });
+            return { output: typeof result === 'string' ? result : JSON.stringify(result), error: false };
+        } catch (error) {
+            return { output: `Error: ${error.message}`, error: true };
+        }
+    },
+
+    /**
+     * Ask a provider, run the tools it calls and send back the results until it answers
+     * Messages use the neutral format: assistant { toolCalls: [{ id, name, arguments }] }
+     * and { role: 'tool', toolCallId, name, content, isError } for results
+     * @param {Object} provider - Registered provider
+     * @param {Array} messages - Conversation
+     * @param {Object} chatOptions - Connector options, with tools as a list of names
+     * @param {Function} onToolCall - Optional callback (call) after each tool runs
+     * @returns {Promise<Object>} - Final connector response plus toolCalls, the calls made
+     */
+    async runToolLoop(provider, messages, chatOptions, onToolCall) {
+        const options = { ...chatOptions, tools: this.getToolDefinitions(chatOptions.tools) };
+        const conversation = [...messages];
+        const trace = [];
+        let usage;
+
+        for (let round = 1; round <= this.maxToolRounds; round++) {
+            const response = await provider.chat(conversation, options);
+            usage = Usage.add(usage, response.usage);
+
+            if (!response.toolCalls?.length) {
+                return { ...response, usage: usage, toolCalls: trace };
+            }
+
+            conversation.push({ role: 'assistant', content: response.content || '', toolCalls: response.toolCalls });
+
+            for (const call of response.toolCalls) {
+                const { output, error } = await this.executeTool(call, options.signal);
+                const entry = { ...call, round: round, output: output, error: error };
+                trace.push(entry);
+                if (onToolCall) onToolCall(entry);
+
+                conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output, isError: error });
+            }
+        }
+
+        const error = new Error(`No answer after ${this.maxToolRounds} rounds of tool calls`);
+        error.toolCalls = trace;
+        throw error;
+    },
+
+    // AbortControllers for in-flight requests, keyed by model
+    activeControllers: {},
+
+    /**
+     * Start tracking a cancellable request for a model
+     * @param {string} modelKey - Model key
+     * @returns {AbortController} - Controller whose signal is passed to the connector
+     */
+    trackRequest(modelKey) {
+        const controller = new AbortController();
+        this.activeControllers[modelKey] = controller;
+        return controller;
+    },
+
+    /**
+     * Stop tracking a request once it has settled
+     * @param {string} modelKey - Model key
+     * @param {AbortController} controller - Controller returned by trackRequest
+     */
+    releaseRequest(modelKey, controller) {
+        if (this.activeControllers[modelKey] === controller) {
+            delete this.activeControllers[modelKey];
+        }
+    },
+
+    /**
+     * Cancel the in-flight request for one model
+     * @param {string} modelKey - Model key
+     * @returns {boolean} - True if a request was cancelled
+     */
+    abort(modelKey) {
+        const controller = this.activeControllers[modelKey];
+        if (!controller) return false;
+
+        controller.abort();
+        return true;
+    },
+
+    /**
+     * Cancel every in-flight request
+     */
+    abortAll() {
+        Object.keys(this.activeControllers).forEach(modelKey => this.abort(modelKey));
+    },
+
+    /**
+     * Result for a model the user stopped before it was asked
+     * @param {string} modelKey - Model key
+     * @returns {Object} - Failed response marked as stopped
+     */
+    stoppedResponse(modelKey) {
+        const modelInfo = this.models[modelKey];
+        return {
+            model: modelKey,
+            modelName: modelInfo.name,
+            icon: modelInfo.icon,
+            color: modelInfo.color,
+            content: null,
+            error: 'Stopped before a response arrived',
+            stopped: true,
+            success: false
+        };
+    },
+
+    /**
+     * Merge shared options with the per-model overrides in options.modelOptions
+     * @param {string} modelKey - Model key
+     * @param {Object} options - Shared options, optionally with modelOptions keyed by model
+     * @returns {Object} - Options for this model's connector
+     */
+    resolveOptions(modelKey, options = {}) {
+        const { modelOptions, onRetry, onToolCall, ...shared } = options;
+        return { ...shared, ...(modelOptions?.[modelKey] || {}) };
     },
 
     /**
      * Get list of configured and selected models
+     * Models whose provider is over one of its budgets are left out
      * @param {Array} selectedModels - Array of model keys to use
      * @returns {Array} - Array of configured model keys
      */
     getActiveModels(selectedModels) {
         return selectedModels.filter(model => {
-            const apiName = this.models[model]?.api;
-            if (!apiName) return false;
+            const provider = this.models[model];
+            return provider && provider.isConfigured() && !Budgets.status(model).over;
+        });
+    },
+
+    /**
+     * Why a model is not active
+     * @param {string} modelKey - Model key
+     * @returns {string|null} - Reason, or null if the model is active
+     */
+    inactiveReason(modelKey) {
+        const provider = this.models[modelKey];
+        if (!provider) return 'Unknown model';
+        if (!provider.isConfigured()) return 'API key not configured';
+
+        const budget = Budgets.status(modelKey);
+        return budget.over ? budget.reason : null;
+    },
+
+    /**
+     * Run a request against a model, then each of its fallbacks until one answers
+     * Fallbacks come from options.modelOptions[modelKey].fallbacks as [{ model, variant }]
+     * @param {string} modelKey - Model key of the slot shown in the UI
+     * @param {Object} options - Additional options
+     * @param {Function} run - (providerKey, providerOptions) => Promise<result>
+     * @returns {Promise<Object>} - Result of the provider that answered, or the last failure
+     */
+    async withFallbacks(modelKey, options, run) {
+        const { fallbacks = [], ...primaryOptions } = this.resolveOptions(modelKey, options);
+        const chain = [{ model: modelKey }, ...fallbacks];
+        const skipped = [];
+        let result = null;
+
+        for (const [index, candidate] of chain.entries()) {
+            const providerInfo = this.models[candidate.model];
+
+            if (index > 0 && this.getActiveModels([candidate.model]).length === 0) {
+                skipped.push({
+                    model: candidate.model,
+                    variant: candidate.variant,
+                    reason: this.inactiveReason(candidate.model)
+                });
+                continue;
+            }
 
-            const api = window[apiName];
-            return api && api.isConfigured();
+            let providerOptions = primaryOptions;
+            if (index > 0) {
+                const { fallbacks: _, ...fallbackOptions } = this.resolveOptions(candidate.model, options);
+                providerOptions = candidate.variant ? { ...fallbackOptions, model: candidate.variant } : fallbackOptions;
+            }
+
+            result = await run(candidate.model, providerOptions);
+
+            if (index > 0) {
+                result.answeredBy = {
+                    model: candidate.model,
+                    name: providerInfo.name,
+                    icon: providerInfo.icon,
+                    variant: candidate.variant
+                };
+            }
+
+            // Never fall back after the user pressed stop
+            if (result.success || result.stopped) break;
+
+            skipped.push({ model: candidate.model, variant: candidate.variant, reason: result.error });
+        }
+
+        if (skipped.length > 0) {
+            result.skipped = skipped;
+        }
+
+        return result;
+    },
+
+    /**
+     * Adapt the conversation to what a provider supports
+     * Drops attachments it can't read and, in JSON mode, adds schema instructions
+     * for providers without a native structured-output option
+     * @param {Object} provider - Registered provider
+     * @param {Array} messages - Conversation
+     * @param {Object} providerOptions - Resolved options, optionally with responseFormat { name, schema }
+     * @returns {Array} - Messages to send
+     */
+    prepareMessages(provider, messages, providerOptions) {
+        const prepared = Attachments.filterFor(messages, provider.accepts);
+        if (!providerOptions.responseFormat || provider.structuredOutput) {
+            return prepared;
+        }
+
+        const instructions = SchemaValidator.instructions(providerOptions.responseFormat.schema);
+        if (prepared[0]?.role === 'system') {
+            return [{ ...prepared[0], content: `${prepared[0].content}\n\n${instructions}` }, ...prepared.slice(1)];
+        }
+        return [{ role: 'system', content: instructions }, ...prepared];
+    },
+
+    /**
+     * Trim the conversation to the provider's context window
+     * @param {string} providerKey - Model key whose API answers
+     * @param {Array} messages - Conversation
+     * @param {Object} providerOptions - Resolved options with contextStrategy, contextSummary, contextWindow
+     * @returns {Object} - { messages, context: { tokens, size, dropped, summarized } }
+     */
+    fitContext(providerKey, messages, providerOptions) {
+        const size = ContextWindow.sizeFor(providerKey, providerOptions);
+        const fitted = ContextWindow.fit(messages, ContextWindow.inputLimit(size, providerOptions), {
+            strategy: providerOptions.contextStrategy,
+            summary: providerOptions.contextSummary
         });
+
+        return {
+            messages: fitted.messages,
+            context: { tokens: fitted.tokens, size: size, dropped: fitted.dropped, summarized: fitted.summarized }
+        };
+    },
+
+    /**
+     * Ask a model to summarize older turns so the summary can stand in for them
+     * @param {string} modelKey - Model that writes the summary
+     * @param {Array} messages - Turns to summarize
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} - Successful response whose content is the summary
+     */
+    async summarizeConversation(modelKey, messages, options = {}) {
+        const transcript = messages
+            .filter(m => m.role !== 'system')
+            .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+            .join('\n\n');
+
+        const { responseFormat, ...summaryOptions } = options;
+        const result = await this.queryModel(modelKey, [
+            {
+                role: 'system',
+                content: 'Summarize the conversation below for an assistant that will continue it. ' +
+                    'Keep facts, decisions, names, numbers and open questions. Reply with the summary only.'
+            },
+            { role: 'user', content: transcript }
+        ], { ...summaryOptions, tools: [] });
+
+        if (!result.success || !result.content) {
+            throw new Error(`${result.modelName} could not summarize the conversation: ${result.error || 'empty response'}`);
+        }
+        return result;
+    },
+
+    /**
+     * Parse and validate a JSON-mode answer against the requested schema
+     * @param {string} content - Response text
+     * @param {Object} providerOptions - Resolved options
+     * @returns {Object} - { validation } or an empty object outside JSON mode
+     */
+    validateContent(content, providerOptions) {
+        if (!providerOptions.responseFormat) return {};
+        return { validation: SchemaValidator.check(content, providerOptions.responseFormat.schema) };
+    },
+
+    /**
+     * Token usage of a response with the model id that answered and what it cost
+     * @param {Object} response - Connector response
+     * @param {Object} provider - Registered provider that answered
+     * @param {Object} providerOptions - Resolved options
+     * @returns {Object} - { usage, modelId, cost }, fields left out when unknown
+     */
+    accountUsage(response, provider, providerOptions) {
+        const modelId = response.model || providerOptions.model || provider.api?.model;
+        if (!response.usage) {
+            return modelId ? { modelId: modelId } : {};
+        }
+        return { usage: response.usage, modelId: modelId, cost: Usage.cost(response.usage, modelId) };
+    },
+
+    /**
+     * Result for a provider that can't read this turn's attachments, so it sits the turn out
+     * @param {string} modelKey - Model key of the slot shown in the UI
+     * @param {string} providerKey - Provider that was asked
+     * @param {Array} kinds - Attachment kinds it can't read
+     * @returns {Object} - Failed response marked as unsupported
+     */
+    unsupportedResult(modelKey, providerKey, kinds) {
+        const modelInfo = this.models[modelKey];
+        return {
+            model: modelKey,
+            modelName: modelInfo.name,
+            icon: modelInfo.icon,
+            color: modelInfo.color,
+            content: null,
+            error: `${this.models[providerKey].name} can't read ${Attachments.describe(kinds)}`,
+            unsupported: kinds,
+            retries: [],
+            success: false
+        };
     },
 
     /**
-     * Query a single model
+     * Query a single model, falling back to other providers if it fails
      * @param {string} modelKey - Model key
      * @param {Array} messages - Messages to send
      * @param {Object} options - Additional options
      * @returns {Promise<Object>} - Response with model info
      */
     async queryModel(modelKey, messages, options = {}) {
-        const modelInfo = this.models[modelKey];
-        if (!modelInfo) {
+        if (!this.models[modelKey]) {
             throw new Error(`Unknown model: ${modelKey}`);
         }
 
-        const api = window[modelInfo.api];
-        if (!api) {
-            throw new Error(`API not loaded: ${modelInfo.api}`);
+        return this.withFallbacks(modelKey, options, (providerKey, providerOptions) =>
+            this.queryProvider(modelKey, providerKey, messages, providerOptions, options.onRetry, options.onToolCall)
+        );
+    },
+
+    /**
+     * Send one non-streaming request for a model slot
+     * @param {string} modelKey - Model key of the slot
+     * @param {string} providerKey - Model key whose API actually answers
+     * @param {Array} messages - Messages to send
+     * @param {Object} providerOptions - Resolved options for the provider
+     * @param {Function} onRetry - Optional callback (modelKey, retryInfo)
+     * @param {Function} onToolCall - Optional callback (modelKey, call) when tools are enabled
+     * @returns {Promise<Object>} - Response with model info
+     */
+    async queryProvider(modelKey, providerKey, messages, providerOptions, onRetry, onToolCall) {
+        const modelInfo = this.models[modelKey];
+        const provider = this.models[providerKey];
+
+        const unsupported = Attachments.unsupportedKinds(messages, provider.accepts);
+        if (unsupported.length > 0) {
+            return this.unsupportedResult(modelKey, providerKey, unsupported);
         }
+        const fitted = this.fitContext(providerKey, messages, providerOptions);
+        messages = this.prepareMessages(provider, fitted.messages, providerOptions);
 
         const startTime = Date.now();
+        const controller = this.trackRequest(modelKey);
+        const retries = [];
 
         try {
-            const response = await api.chat(messages, options);
+            const chatOptions = {
+                ...providerOptions,
+                signal: controller.signal,
+                onRetry: info => {
+                    retries.push(info);
+                    if (onRetry) onRetry(modelKey, info);
+                }
+            };
+            const response = providerOptions.tools?.length
+                ? await this.runToolLoop(provider, messages, chatOptions, call => {
+                    if (onToolCall) onToolCall(modelKey, call);
+                })
+                : await provider.chat(messages, chatOptions);
             const endTime = Date.now();
 
             return {
@@ -56,25 +514,35 @@ const Synthesizer = {
                 icon: modelInfo.icon,
                 color: modelInfo.color,
                 content: response.content,
-                usage: response.usage,
+                ...this.accountUsage(response, provider, providerOptions),
+                context: fitted.context,
                 latency: endTime - startTime,
+                retries: retries,
+                ...(response.toolCalls?.length ? { toolCalls: response.toolCalls } : {}),
+                ...this.validateContent(response.content, providerOptions),
                 success: true
             };
         } catch (error) {
+            const stopped = controller.signal.aborted;
             return {
                 model: modelKey,
                 modelName: modelInfo.name,
                 icon: modelInfo.icon,
                 color: modelInfo.color,
                 content: null,
-                error: error.message,
+                error: stopped ? 'Stopped before a response arrived' : error.message,
+                retries: retries,
+                ...(error.toolCalls?.length ? { toolCalls: error.toolCalls } : {}),
+                stopped: stopped,
                 success: false
             };
+        } finally {
+            this.releaseRequest(modelKey, controller);
         }
     },
 
     /**
-     * Query a single model with streaming
+     * Query a single model with streaming, falling back to other providers if it fails
      * @param {string} modelKey - Model key
      * @param {Array} messages - Messages to send
      * @param {Function} onChunk - Callback for each chunk
@@ -82,22 +550,60 @@ const Synthesizer = {
      * @returns {Promise<Object>} - Final response with model info
      */
     async streamModel(modelKey, messages, onChunk, options = {}) {
-        const modelInfo = this.models[modelKey];
-        if (!modelInfo) {
+        if (!this.models[modelKey]) {
             throw new Error(`Unknown model: ${modelKey}`);
         }
 
-        const api = window[modelInfo.api];
-        if (!api) {
-            throw new Error(`API not loaded: ${modelInfo.api}`);
+        // The tool-call loop needs whole responses, so turns with tools are not streamed
+        if (options.tools?.length) {
+            const result = await this.queryModel(modelKey, messages, options);
+            if (result.content) onChunk(modelKey, result.content, result.content);
+            return result;
+        }
+
+        return this.withFallbacks(modelKey, options, (providerKey, providerOptions) =>
+            this.streamProvider(modelKey, providerKey, messages, onChunk, providerOptions, options.onRetry)
+        );
+    },
+
+    /**
+     * Send one streaming request for a model slot
+     * @param {string} modelKey - Model key of the slot
+     * @param {string} providerKey - Model key whose API actually answers
+     * @param {Array} messages - Messages to send
+     * @param {Function} onChunk - Callback for each chunk
+     * @param {Object} providerOptions - Resolved options for the provider
+     * @param {Function} onRetry - Optional callback (modelKey, retryInfo)
+     * @returns {Promise<Object>} - Final response with model info
+     */
+    async streamProvider(modelKey, providerKey, messages, onChunk, providerOptions, onRetry) {
+        const modelInfo = this.models[modelKey];
+        const provider = this.models[providerKey];
+
+        const unsupported = Attachments.unsupportedKinds(messages, provider.accepts);
+        if (unsupported.length > 0) {
+            return this.unsupportedResult(modelKey, providerKey, unsupported);
         }
+        const fitted = this.fitContext(providerKey, messages, providerOptions);
+        messages = this.prepareMessages(provider, fitted.messages, providerOptions);
 
         const startTime = Date.now();
+        const controller = this.trackRequest(modelKey);
+        const retries = [];
+        let partialContent = '';
 
         try {
-            const response = await api.streamChat(messages, (chunk, full) => {
+            const response = await provider.streamChat(messages, (chunk, full) => {
+                partialContent = full;
                 onChunk(modelKey, chunk, full);
-            }, options);
+            }, {
+                ...providerOptions,
+                signal: controller.signal,
+                onRetry: info => {
+                    retries.push(info);
+                    if (onRetry) onRetry(modelKey, info);
+                }
+            });
 
             const endTime = Date.now();
 
@@ -107,10 +613,30 @@ const Synthesizer = {
                 icon: modelInfo.icon,
                 color: modelInfo.color,
                 content: response.content,
+                ...this.accountUsage(response, provider, providerOptions),
+                context: fitted.context,
                 latency: endTime - startTime,
+                retries: retries,
+                ...this.validateContent(response.content, providerOptions),
                 success: true
             };
         } catch (error) {
+            if (controller.signal.aborted) {
+                // Keep whatever text streamed in before the user stopped it
+                return {
+                    model: modelKey,
+                    modelName: modelInfo.name,
+                    icon: modelInfo.icon,
+                    color: modelInfo.color,
+                    content: partialContent || null,
+                    error: partialContent ? undefined : 'Stopped before any text arrived',
+                    latency: Date.now() - startTime,
+                    retries: retries,
+                    stopped: true,
+                    success: partialContent.length > 0
+                };
+            }
+
             return {
                 model: modelKey,
                 modelName: modelInfo.name,
@@ -118,15 +644,28 @@ const Synthesizer = {
                 color: modelInfo.color,
                 content: null,
                 error: error.message,
+                retries: retries,
                 success: false
             };
+        } finally {
+            this.releaseRequest(modelKey, controller);
         }
     },
 
+    /**
+     * Messages one model should see
+     * @param {Array|Object} messages - Shared history, or a thread per model keyed by model
+     * @param {string} modelKey - Model key
+     * @returns {Array}
+     */
+    threadFor(messages, modelKey) {
+        return Array.isArray(messages) ? messages : messages[modelKey];
+    },
+
     /**
      * Query multiple models in parallel (non-streaming)
      * @param {Array} selectedModels - Models to query
-     * @param {Array} messages - Messages to send
+     * @param {Array|Object} messages - Messages to send, or a thread per model keyed by model
      * @param {Object} options - Additional options
      * @returns {Promise<Object>} - Object with responses keyed by model
      */
@@ -138,7 +677,7 @@ const Synthesizer = {
         }
 
         const promises = activeModels.map(model =>
-            this.queryModel(model, messages, options)
+            this.queryModel(model, this.threadFor(messages, model), options)
         );
 
         const results = await Promise.allSettled(promises);
@@ -167,7 +706,7 @@ const Synthesizer = {
     /**
      * Query multiple models in parallel with streaming
      * @param {Array} selectedModels - Models to query
-     * @param {Array} messages - Messages to send
+     * @param {Array|Object} messages - Messages to send, or a thread per model keyed by model
      * @param {Function} onChunk - Callback for each chunk (modelKey, chunk, fullContent)
      * @param {Function} onComplete - Callback when a model completes
      * @param {Object} options - Additional options
@@ -181,7 +720,7 @@ const Synthesizer = {
         }
 
         const promises = activeModels.map(async model => {
-            const result = await this.streamModel(model, messages, onChunk, options);
+            const result = await this.streamModel(model, this.threadFor(messages, model), onChunk, options);
             if (onComplete) onComplete(model, result);
             return result;
         });
@@ -210,93 +749,50 @@ const Synthesizer = {
     },
 
     /**
-     * Find disagreements between model responses
-     * This is a simplified version - could be enhanced with NLP
-     * @param {Object} responses - Responses keyed by model
-     * @returns {Array} - Array of disagreement objects
+     * Run a pipeline: each step asks one model, its prompt filled from the question and earlier outputs
+     * Stops at the first step that fails or is stopped
+     * @param {Array} steps - [{ model, label, prompt }]
+     * @param {Array} messages - Conversation ending with the user's message
+     * @param {Object} options - Additional options; JSON mode only applies to the last step
+     * @param {Function} onStep - Optional callback (index, step) as each step starts; returning false skips the remaining steps
+     * @returns {Promise<Array>} - Step results with label and filled prompt
      */
-    findDisagreements(responses) {
-        const disagreements = [];
-        const successfulResponses = Object.entries(responses)
-            .filter(([_, r]) => r.success && r.content);
-
-        if (successfulResponses.length < 2) {
-            return disagreements;
-        }
-
-        // Extract key statements/claims from responses
-        // This is a basic implementation - could use semantic similarity
-        const extractStatements = (content) => {
-            return content
-                .split(/[.!?]+/)
-                .map(s => s.trim().toLowerCase())
-                .filter(s => s.length > 20); // Only meaningful statements
-        };
+    async runPipeline(steps, messages, options = {}, onStep) {
+        const history = messages.slice(0, -1);
+        const question = messages[messages.length - 1];
+        const results = [];
 
-        // Compare responses for contradictions
-        // Look for negation patterns
-        const negationPatterns = [
-            { positive: /\bis\b/, negative: /\bis not\b|\bisn't\b/ },
-            { positive: /\bcan\b/, negative: /\bcannot\b|\bcan't\b/ },
-            { positive: /\bwill\b/, negative: /\bwill not\b|\bwon't\b/ },
-            { positive: /\bshould\b/, negative: /\bshould not\b|\bshouldn't\b/ },
-            { positive: /\bdoes\b/, negative: /\bdoes not\b|\bdoesn't\b/ }
-        ];
+        for (const [index, step] of steps.entries()) {
+            if (onStep && onStep(index, step) === false) break;
 
-        // Simple sentiment/stance detection on key topics
-        const topics = new Set();
-        successfulResponses.forEach(([_, response]) => {
-            const words = response.content.toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
-            words.forEach(w => topics.add(w));
-        });
+            const prompt = Pipelines.fillTemplate(step.prompt, question.content, results.map(r => r.content));
+            const stepOptions = index === steps.length - 1 ? options : { ...options, responseFormat: undefined };
+            const result = await this.queryModel(step.model, [...history, { ...question, content: prompt }], stepOptions);
 
-        // Check for opposing stances
-        const stanceIndicators = {
-            positive: ['better', 'best', 'good', 'excellent', 'recommend', 'prefer', 'advantage'],
-            negative: ['worse', 'worst', 'bad', 'avoid', 'disadvantage', 'problem', 'issue']
-        };
-
-        // Find topics where models have different stances
-        const getStance = (content, topic) => {
-            const context = content.toLowerCase();
-            const topicIndex = context.indexOf(topic);
-            if (topicIndex === -1) return null;
-
-            // Get surrounding context
-            const start = Math.max(0, topicIndex - 100);
-            const end = Math.min(context.length, topicIndex + 100);
-            const surrounding = context.slice(start, end);
-
-            const posScore = stanceIndicators.positive.filter(w => surrounding.includes(w)).length;
-            const negScore = stanceIndicators.negative.filter(w => surrounding.includes(w)).length;
-
-            if (posScore > negScore) return 'positive';
-            if (negScore > posScore) return 'negative';
-            return 'neutral';
-        };
-
-        // Compare stances across models for common topics
-        topics.forEach(topic => {
-            const stances = {};
-            successfulResponses.forEach(([model, response]) => {
-                const stance = getStance(response.content, topic);
-                if (stance && stance !== 'neutral') {
-                    stances[model] = stance;
-                }
-            });
+            results.push({ ...result, label: step.label || `Step ${index + 1}`, prompt: prompt });
+            if (!result.success || result.stopped) break;
+        }
 
-            const stanceValues = Object.values(stances);
-            if (stanceValues.includes('positive') && stanceValues.includes('negative')) {
-                disagreements.push({
-                    topic: topic,
-                    models: Object.keys(stances),
-                    stances: stances,
-                    type: 'stance'
-                });
-            }
-        });
+        return results;
+    },
 
-        return disagreements.slice(0, 5); // Limit to top 5 disagreements
+    /**
+     * Find disagreements between model responses
+     * Claims are matched across models and only contradicting pairs are kept
+     * @param {Object} responses - Responses keyed by model
+     * @param {Object} analysis - Result of ClaimAnalyzer.analyze, computed if omitted
+     * @returns {Array} - Array of disagreement objects
+     */
+    findDisagreements(responses, analysis = null) {
+        const { contradictions } = analysis || ClaimAnalyzer.analyze(responses);
+
+        return contradictions
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, 10)
+            .map(contradiction => ({
+                ...contradiction,
+                type: 'contradiction'
+            }));
     },
 
     /**
@@ -308,11 +804,15 @@ const Synthesizer = {
     synthesize(responses) {
         const successful = Object.entries(responses)
             .filter(([_, r]) => r.success && r.content)
-            .sort((a, b) => a[1].latency - b[1].latency); // Fastest first
+            .sort((a, b) => a[1].latency - b[1].latency) // Fastest first
+            .sort((a, b) => Number(b[1].validation?.valid ?? 0) - Number(a[1].validation?.valid ?? 0)); // Valid JSON first
 
         if (successful.length === 0) {
+            const stopped = Object.values(responses).length > 0 && Object.values(responses).every(r => r.stopped);
             return {
-                content: 'All models failed to respond. Please check your API keys and try again.',
+                content: stopped
+                    ? 'Stopped before any model answered.'
+                    : 'All models failed to respond. Please check your API keys and try again.',
                 primaryModel: null,
                 modelCount: 0,
                 disagreements: []
@@ -320,17 +820,161 @@ const Synthesizer = {
         }
 
         const [primaryModel, primaryResponse] = successful[0];
-        const disagreements = this.findDisagreements(responses);
+        const analysis = ClaimAnalyzer.analyze(responses);
+        const disagreements = this.findDisagreements(responses, analysis);
 
         return {
             content: primaryResponse.content,
+            strategy: 'fastest',
             primaryModel: primaryModel,
             primaryModelName: primaryResponse.modelName,
             primaryIcon: primaryResponse.icon,
             modelCount: successful.length,
             disagreements: disagreements,
+            agreement: Similarity.compare(responses),
+            claimSummary: {
+                agreements: analysis.agreements.length,
+                contradictions: analysis.contradictions.length,
+                unique: analysis.unique
+            },
             allResponses: responses
         };
+    },
+
+    /**
+     * Pick the model that should merge the responses
+     * 'auto' uses the first model that answered successfully this turn
+     * @param {string} preference - Model key, 'auto' or 'none'
+     * @param {Object} responses - Responses keyed by model
+     * @returns {string|null} - Model key, or null to skip merging
+     */
+    resolveMergerModel(preference, responses) {
+        if (!preference || preference === 'none') {
+            return null;
+        }
+
+        if (preference !== 'auto') {
+            return this.getActiveModels([preference])[0] || null;
+        }
+
+        const answered = Object.keys(this.models)
+            .filter(model => responses[model]?.success && responses[model]?.content);
+        return this.getActiveModels(answered)[0] || null;
+    },
+
+    /**
+     * Build the judge prompt that asks one model to merge all answers
+     * @param {Array} messages - Conversation sent to the models
+     * @param {Array} successful - [modelKey, response] pairs
+     * @returns {Array} - Messages for the merger model
+     */
+    buildMergeMessages(messages, successful) {
+        const latest = [...messages].reverse().find(m => m.role === 'user');
+        const attached = (latest?.attachments || []).map(a => a.name);
+        const question = (latest?.content || '') + (attached.length ? `\n\n(Attached: ${attached.join(', ')})` : '');
+        const answers = successful.map(([_, response]) =>
+            `### ${response.modelName}\n\n${response.content}`
+        ).join('\n\n');
+
+        return [
+            {
+                role: 'system',
+                content: 'You merge answers from several AI models into one response. ' +
+                    'Combine the correct and useful parts into a single, well-structured answer to the question. ' +
+                    'Do not mention that you are merging unless it matters. ' +
+                    'End with a short "**Where the models agreed**" section and a "**Where the models disagreed**" section, ' +
+                    'naming the models involved. Write "None" if there were no disagreements.'
+            },
+            {
+                role: 'user',
+                content: `Question:\n${question}\n\nAnswers:\n\n${answers}`
+            }
+        ];
+    },
+
+    /**
+     * Build one model's next debate round: its own answer, then the others' answers to critique
+     * @param {Array} messages - Conversation the model answered
+     * @param {string} modelKey - Model key
+     * @param {Object} previous - Previous round's responses keyed by model
+     * @param {Object} options - Request options; JSON mode asks for the revised answer only
+     * @returns {Array} - Messages for the next round
+     */
+    buildDebateMessages(messages, modelKey, previous, options = {}) {
+        const own = previous[modelKey];
+        const others = Object.entries(previous)
+            .filter(([model, response]) => model !== modelKey && response.success && response.content)
+            .map(([_, response]) => `### ${response.modelName}\n\n${response.content}`)
+            .join('\n\n');
+        const instructions = options.responseFormat
+            ? 'Check them against your own answer, then reply with your revised answer only, in the same JSON format.'
+            : 'Critique them: point out anything wrong, missing or better argued than in your answer. ' +
+                'Then give your revised, complete answer to the original question, keeping what you still think is right.';
+
+        return [
+            ...messages,
+            ...(own?.success && own.content ? [{ role: 'assistant', content: own.content }] : []),
+            {
+                role: 'user',
+                content: `Other models answered the same question:\n\n${others}\n\n${instructions}`
+            }
+        ];
+    },
+
+    /**
+     * Merge all successful responses into one answer using a synthesizer model
+     * Falls back to the fastest response when merging is off or fails
+     * @param {Object} responses - Responses keyed by model
+     * @param {Array} messages - Conversation sent to the models
+     * @param {string} mergerPreference - Model key, 'auto' or 'none'
+     * @param {Object} options - Additional options
+     * @returns {Promise<Object>} - Synthesized response info
+     */
+    async mergeResponses(responses, messages, mergerPreference = 'auto', options = {}) {
+        const synthesized = this.synthesize(responses);
+        const successful = Object.entries(responses)
+            .filter(([_, r]) => r.success && r.content);
+
+        // JSON answers are compared field by field instead of merged into prose
+        if (successful.length < 2 || options.responseFormat) {
+            return synthesized;
+        }
+
+        const mergerModel = this.resolveMergerModel(mergerPreference, responses);
+        if (!mergerModel) {
+            return synthesized;
+        }
+
+        const merged = await this.queryModel(
+            mergerModel,
+            this.buildMergeMessages(messages, successful),
+            { ...options, tools: [] }
+        );
+
+        if (merged.stopped) {
+            return synthesized;
+        }
+
+        if (!merged.success || !merged.content) {
+            return {
+                ...synthesized,
+                mergeError: `${merged.modelName} could not merge the responses: ${merged.error || 'empty response'}`
+            };
+        }
+
+        return {
+            ...synthesized,
+            content: merged.content,
+            strategy: 'merged',
+            mergedBy: mergerModel,
+            mergedByName: merged.modelName,
+            mergedByIcon: merged.icon,
+            mergeLatency: merged.latency,
+            // Tokens spent on the merge itself, billed to the provider that answered it
+            usage: merged.usage,
+            cost: merged.cost,
+            billedTo: merged.answeredBy?.model || mergerModel
+        };
     }
 };
 
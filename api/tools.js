@@ -0,0 +1,119 @@
+/**
+ * Built-in Tools
+ * Registers local tools any model can call when tools are enabled in Settings
+ */
+
+const Calculator = {
+    functions: {
+        sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, ln: Math.log, log: Math.log10, exp: Math.exp
+    },
+
+    constants: { pi: Math.PI, e: Math.E },
+
+    /**
+     * Evaluate an arithmetic expression without eval
+     * Supports + - * / % ^, parentheses, the functions above and pi/e
+     * @param {string} expression - e.g. "2 * (3 + 4) ^ 2"
+     * @returns {number}
+     */
+    evaluate(expression) {
+        const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^()]/gi) || [];
+        if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+            throw new Error(`Unsupported characters in "${expression}"`);
+        }
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        const parsePrimary = () => {
+            const token = next();
+            if (token === undefined) throw new Error('Unexpected end of expression');
+
+            if (token === '(') {
+                const value = parseSum();
+                if (next() !== ')') throw new Error('Missing closing parenthesis');
+                return value;
+            }
+            if (token === '-') return -parsePower();
+            if (token === '+') return parsePower();
+            if (/^[\d.]/.test(token)) return parseFloat(token);
+
+            const name = token.toLowerCase();
+            if (name in this.constants) return this.constants[name];
+            if (name in this.functions) {
+                if (next() !== '(') throw new Error(`Expected "(" after ${name}`);
+                const value = parseSum();
+                if (next() !== ')') throw new Error('Missing closing parenthesis');
+                return this.functions[name](value);
+            }
+            throw new Error(`Unknown name "${token}"`);
+        };
+
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() === '^' || peek() === '**') {
+                next();
+                return base ** parsePower();
+            }
+            return base;
+        };
+
+        const parseProduct = () => {
+            let value = parsePower();
+            while (['*', '/', '%'].includes(peek())) {
+                const operator = next();
+                const right = parsePower();
+                value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+            }
+            return value;
+        };
+
+        const parseSum = () => {
+            let value = parseProduct();
+            while (peek() === '+' || peek() === '-') {
+                value = next() === '+' ? value + parseProduct() : value - parseProduct();
+            }
+            return value;
+        };
+
+        const result = parseSum();
+        if (position < tokens.length) {
+            throw new Error(`Unexpected "${peek()}"`);
+        }
+        return result;
+    }
+};
+
+Synthesizer.registerTool('calculator', {
+    description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, ln, log, exp, pi and e.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'Expression to evaluate, e.g. "2 * (3 + 4) ^ 2"' }
+        },
+        required: ['expression']
+    },
+    handler: ({ expression }) => ({ expression, result: Calculator.evaluate(String(expression)) })
+});
+
+Synthesizer.registerTool('current_time', {
+    description: "Get the current date and time in the user's time zone.",
+    parameters: { type: 'object', properties: {} },
+    handler: () => ({
+        iso: new Date().toISOString(),
+        local: new Date().toString(),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    })
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calculator;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Calculator = Calculator;
+}
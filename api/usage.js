@@ -0,0 +1,215 @@
+/**
+ * Usage
+ * Token counts, the editable price table and a running ledger of what was spent
+ * Connectors report usage as { inputTokens, outputTokens }
+ */
+
+const Usage = {
+    pricesKey: 'model_prices',
+    ledgerKey: 'usage_ledger',
+
+    // USD per million tokens, matched by the longest model id prefix
+    defaultPrices: {
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4.1': { input: 2, output: 8 },
+        'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+        'o3-mini': { input: 1.1, output: 4.4 },
+        'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+        'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+        'gemini-2.5-pro': { input: 1.25, output: 10 },
+        'claude-sonnet-4': { input: 3, output: 15 },
+        'claude-opus-4': { input: 15, output: 75 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'grok-3': { input: 3, output: 15 },
+        'grok-3-mini': { input: 0.3, output: 0.5 },
+        'grok-3-mini-fast': { input: 0.6, output: 4 }
+    },
+
+    /**
+     * Price table, the defaults until the user edits it
+     * @returns {Object} - { modelIdPrefix: { input, output } }
+     */
+    loadPrices() {
+        try {
+            const saved = localStorage.getItem(this.pricesKey);
+            return saved ? JSON.parse(saved) : { ...this.defaultPrices };
+        } catch (e) {
+            return { ...this.defaultPrices };
+        }
+    },
+
+    /**
+     * Save the price table
+     * @param {Object} prices - { modelIdPrefix: { input, output } }
+     */
+    savePrices(prices) {
+        localStorage.setItem(this.pricesKey, JSON.stringify(prices));
+    },
+
+    /**
+     * Price for a model id
+     * @param {string} modelId - Model id as sent to the API, e.g. 'gpt-4o-mini-2024-07-18'
+     * @param {Object} prices - Price table (defaults to the saved one)
+     * @returns {Object|null} - { input, output } per million tokens
+     */
+    findPrice(modelId, prices = this.loadPrices()) {
+        if (!modelId) return null;
+
+        const match = Object.keys(prices)
+            .filter(prefix => modelId === prefix || modelId.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? prices[match] : null;
+    },
+
+    /**
+     * Cost of one call
+     * @param {Object} usage - { inputTokens, outputTokens }
+     * @param {string} modelId - Model id
+     * @returns {number|null} - USD, or null if usage or the price is unknown
+     */
+    cost(usage, modelId) {
+        const price = this.findPrice(modelId);
+        if (!usage || !price) return null;
+        return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    },
+
+    /**
+     * Rough token count for a conversation, about four characters per token
+     * Images and PDFs count as a flat amount since their real cost depends on the provider
+     * @param {Array} messages - Conversation
+     * @returns {number}
+     */
+    estimateTokens(messages) {
+        return messages.reduce((tokens, msg) => {
+            const text = (msg.content || '') + (msg.attachments || [])
+                .map(attachment => attachment.text || '').join('');
+            const files = (msg.attachments || []).filter(attachment => attachment.kind !== 'text').length;
+            return tokens + Math.ceil(text.length / 4) + files * 1000;
+        }, 0);
+    },
+
+    /**
+     * Add two usage records
+     * @param {Object} a - { inputTokens, outputTokens } or undefined
+     * @param {Object} b - { inputTokens, outputTokens } or undefined
+     * @returns {Object|undefined}
+     */
+    add(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return { inputTokens: a.inputTokens + b.inputTokens, outputTokens: a.outputTokens + b.outputTokens };
+    },
+
+    /**
+     * Totals for a list of responses or messages
+     * @param {Array} items - Objects with optional usage and cost
+     * @returns {Object} - { inputTokens, outputTokens, cost, priced } where priced is false if any cost is unknown
+     */
+    total(items) {
+        return items.reduce((sum, item) => {
+            if (!item?.usage) return sum;
+            return {
+                inputTokens: sum.inputTokens + item.usage.inputTokens,
+                outputTokens: sum.outputTokens + item.usage.outputTokens,
+                cost: sum.cost + (item.cost || 0),
+                priced: sum.priced && item.cost != null
+            };
+        }, { inputTokens: 0, outputTokens: 0, cost: 0, priced: true });
+    },
+
+    /**
+     * Day key for the ledger
+     * @param {number} timestamp - Milliseconds
+     * @returns {string} - Local date, 'YYYY-MM-DD'
+     */
+    dayKey(timestamp = Date.now()) {
+        const date = new Date(timestamp);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Spending per day and provider
+     * @returns {Object} - { 'YYYY-MM-DD': { modelKey: { inputTokens, outputTokens, cost } } }
+     */
+    loadLedger() {
+        try {
+            return JSON.parse(localStorage.getItem(this.ledgerKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Add calls to today's ledger
+     * @param {Array} entries - [{ model, usage, cost }], model being the provider that answered
+     */
+    record(entries) {
+        const ledger = this.loadLedger();
+        const day = ledger[this.dayKey()] = ledger[this.dayKey()] || {};
+
+        entries.filter(entry => entry.usage).forEach(entry => {
+            const spent = day[entry.model] || { inputTokens: 0, outputTokens: 0, cost: 0 };
+            day[entry.model] = {
+                inputTokens: spent.inputTokens + entry.usage.inputTokens,
+                outputTokens: spent.outputTokens + entry.usage.outputTokens,
+                cost: spent.cost + (entry.cost || 0)
+            };
+        });
+
+        localStorage.setItem(this.ledgerKey, JSON.stringify(ledger));
+    },
+
+    /**
+     * Everything spent so far
+     * @returns {Object} - { inputTokens, outputTokens, cost }
+     */
+    ledgerTotal() {
+        const total = { inputTokens: 0, outputTokens: 0, cost: 0 };
+        Object.values(this.loadLedger()).forEach(day => Object.values(day).forEach(spent => {
+            total.inputTokens += spent.inputTokens;
+            total.outputTokens += spent.outputTokens;
+            total.cost += spent.cost;
+        }));
+        return total;
+    },
+
+    /**
+     * Clear the ledger
+     */
+    resetLedger() {
+        localStorage.removeItem(this.ledgerKey);
+    },
+
+    /**
+     * Format a cost for display
+     * @param {number} cost - USD
+     * @returns {string} - e.g. '$0.0123', '<$0.0001'
+     */
+    formatCost(cost) {
+        if (cost == null) return '—';
+        if (cost === 0) return '$0.00';
+        if (cost > 0 && cost < 0.0001) return '<$0.0001';
+        return `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+    },
+
+    /**
+     * Format a token count for display
+     * @param {number} tokens - Token count
+     * @returns {string} - e.g. '950', '12.3k'
+     */
+    formatTokens(tokens) {
+        return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+    }
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Usage;
+}
+
+// Attach to window for browser use
+if (typeof window !== 'undefined') {
+    window.Usage = Usage;
+}
@@ -9,11 +9,25 @@
     // ===== Application State =====
     const state = {
         currentChatId: null,
-        messages: [],
-        selectedModels: ['chatgpt', 'gemini', 'claude', 'grok'],
+        tree: ChatTree.create(), // every branch of the open chat
+        path: [], // tree node ids of the open branch, parallel to messages
+        messages: [], // messages on the open branch
+        editingIndex: null,
+        regenerating: null, // { index, model, status } while one card is rerun
+        selectedModels: Object.keys(Synthesizer.models),
         viewMode: 'unified', // 'unified' or 'split'
         isLoading: false,
-        streamingResponses: {},
+        turnCancelled: false, // set by Stop all so the running turn starts no further requests
+        liveTurn: null, // in-progress turn: { models, text, contents, statuses, results }
+        pendingAttachments: [],
+        contextSummary: null,
+        jsonMode: localStorage.getItem('json_mode') === 'true',
+        debateMode: localStorage.getItem('debate_mode') === 'true',
+        arenaMode: localStorage.getItem('arena_mode') === 'true',
+        // Prompt library modal: which view is open, and the composer text a chosen template replaces
+        promptView: { mode: 'list', id: null },
+        promptRange: null,
+        slashMenu: { matches: [], active: 0 },
         chatHistory: []
     };
 
@@ -42,26 +56,81 @@
         // Input
         messageInput: document.getElementById('messageInput'),
         sendBtn: document.getElementById('sendBtn'),
+        attachBtn: document.getElementById('attachBtn'),
+        fileInput: document.getElementById('fileInput'),
+        attachmentList: document.getElementById('attachmentList'),
         charCount: document.getElementById('charCount'),
         modelSelector: document.getElementById('modelSelector'),
 
         // Modals
         settingsModal: document.getElementById('settingsModal'),
         historyModal: document.getElementById('historyModal'),
+        leaderboardModal: document.getElementById('leaderboardModal'),
+        leaderboardBtn: document.getElementById('leaderboardBtn'),
+        leaderboardCategory: document.getElementById('leaderboardCategory'),
+        leaderboardTag: document.getElementById('leaderboardTag'),
+        leaderboardTable: document.getElementById('leaderboardTable'),
+        resetVotesBtn: document.getElementById('resetVotesBtn'),
+        arenaModeBtn: document.getElementById('arenaModeBtn'),
+        promptsModal: document.getElementById('promptsModal'),
+        promptLibraryBtn: document.getElementById('promptLibraryBtn'),
+        browsePromptsBtn: document.getElementById('browsePromptsBtn'),
+        promptToolbar: document.getElementById('promptToolbar'),
+        promptSearch: document.getElementById('promptSearch'),
+        promptCategory: document.getElementById('promptCategory'),
+        promptLibrary: document.getElementById('promptLibrary'),
+        newPromptBtn: document.getElementById('newPromptBtn'),
+        importPromptsBtn: document.getElementById('importPromptsBtn'),
+        importPromptsInput: document.getElementById('importPromptsInput'),
+        exportPromptsBtn: document.getElementById('exportPromptsBtn'),
+        suggestionCards: document.getElementById('suggestionCards'),
+        slashMenu: document.getElementById('slashMenu'),
         exportModal: document.getElementById('exportModal'),
+        disagreementsModal: document.getElementById('disagreementsModal'),
+        comparisonModal: document.getElementById('comparisonModal'),
+        comparisonTable: document.getElementById('comparisonTable'),
+        jsonModeBtn: document.getElementById('jsonModeBtn'),
+        schemaPanel: document.getElementById('schemaPanel'),
+        debateModeBtn: document.getElementById('debateModeBtn'),
+        debatePanel: document.getElementById('debatePanel'),
+        debateRounds: document.getElementById('debateRounds'),
+        schemaInput: document.getElementById('schemaInput'),
+        schemaStatus: document.getElementById('schemaStatus'),
 
         // Settings
-        openaiKey: document.getElementById('openaiKey'),
-        geminiKey: document.getElementById('geminiKey'),
-        claudeKey: document.getElementById('claudeKey'),
-        grokKey: document.getElementById('grokKey'),
+        providerSettings: document.getElementById('providerSettings'),
+        customEndpointSettings: document.getElementById('customEndpointSettings'),
+        addEndpointBtn: document.getElementById('addEndpointBtn'),
+        pipelineSettings: document.getElementById('pipelineSettings'),
+        addPipelineBtn: document.getElementById('addPipelineBtn'),
         defaultView: document.getElementById('defaultView'),
+        synthesizerModel: document.getElementById('synthesizerModel'),
         streamResponses: document.getElementById('streamResponses'),
+        separateThreads: document.getElementById('separateThreads'),
+        maxRetries: document.getElementById('maxRetries'),
+        parameterSettings: document.getElementById('parameterSettings'),
+        priceSettings: document.getElementById('priceSettings'),
+        addPriceBtn: document.getElementById('addPriceBtn'),
+        resetUsageBtn: document.getElementById('resetUsageBtn'),
+        usageSummary: document.getElementById('usageSummary'),
+        budgetSettings: document.getElementById('budgetSettings'),
+        budgetAction: document.getElementById('budgetAction'),
+        contextStrategy: document.getElementById('contextStrategy'),
+        systemPrompt: document.getElementById('systemPrompt'),
+        contextMeter: document.getElementById('contextMeter'),
+        timeoutSettings: document.getElementById('timeoutSettings'),
+        fallbackSettings: document.getElementById('fallbackSettings'),
+        toolSettings: document.getElementById('toolSettings'),
         saveSettingsBtn: document.getElementById('saveSettingsBtn'),
         clearDataBtn: document.getElementById('clearDataBtn'),
 
         // History
         historyList: document.getElementById('historyList'),
+        importChatBtn: document.getElementById('importChatBtn'),
+        importChatInput: document.getElementById('importChatInput'),
+
+        // Disagreements
+        disagreementsList: document.getElementById('disagreementsList'),
 
         // Export
         exportJson: document.getElementById('exportJson'),
@@ -76,6 +145,7 @@
         loadSettings();
         loadChatHistory();
         setupEventListeners();
+        renderSuggestionCards();
         updateAPIStatus();
         restoreTheme();
 
@@ -89,11 +159,8 @@
 
     // ===== Settings =====
     function loadSettings() {
-        // Load API keys (already handled by individual APIs)
-        elements.openaiKey.value = localStorage.getItem('openai_api_key') || '';
-        elements.geminiKey.value = localStorage.getItem('gemini_api_key') || '';
-        elements.claudeKey.value = localStorage.getItem('claude_api_key') || '';
-        elements.grokKey.value = localStorage.getItem('grok_api_key') || '';
+        // Build the provider-specific parts of the settings form from the registry
+        renderSettingsForms();
 
         // Load preferences
         const defaultView = localStorage.getItem('default_view') || 'unified';
@@ -103,56 +170,667 @@
 
         const streamEnabled = localStorage.getItem('stream_responses') !== 'false';
         elements.streamResponses.checked = streamEnabled;
+        elements.separateThreads.checked = localStorage.getItem('separate_threads') === 'true';
+
+        // Load long-conversation settings
+        elements.contextStrategy.innerHTML = Object.entries(ContextWindow.strategies)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        elements.contextStrategy.value = localStorage.getItem('context_strategy') || 'truncate';
+        elements.systemPrompt.value = localStorage.getItem('system_prompt') || '';
+
+        // Restore JSON mode
+        elements.schemaInput.value = localStorage.getItem('json_schema') || '';
+        updateJsonMode();
+
+        // Restore debate mode
+        elements.debateRounds.value = localStorage.getItem('debate_rounds') || 2;
+        updateDebateMode();
+        elements.arenaModeBtn.classList.toggle('active', state.arenaMode);
+
+        // Load network settings
+        elements.maxRetries.value = localStorage.getItem('max_retries') ?? RequestHelper.defaultMaxRetries;
 
         // Load selected models
         const savedModels = localStorage.getItem('selected_models');
         if (savedModels) {
-            state.selectedModels = JSON.parse(savedModels);
-            updateModelPills();
+            const selected = JSON.parse(savedModels).filter(model => Synthesizer.models[model]);
+            if (selected.length > 0) state.selectedModels = selected;
+        }
+        renderModelPills();
+    }
+
+    function renderSettingsForms() {
+        renderProviderSettings();
+        renderCustomEndpointSettings();
+        renderPipelineSettings();
+        renderParameterSettings();
+        renderPriceSettings();
+        renderBudgetSettings();
+        renderSynthesizerOptions();
+        renderToolSettings();
+        renderTimeoutSettings();
+        renderFallbackSettings();
+    }
+
+    const VISIBILITY_ICONS = `
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="eye-open">
+            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+            <circle cx="12" cy="12" r="3"></circle>
+        </svg>
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="eye-closed">
+            <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
+            <line x1="1" y1="1" x2="23" y2="23"></line>
+        </svg>
+    `;
+
+    function renderProviderSettings() {
+        elements.providerSettings.innerHTML = Object.entries(Synthesizer.models).map(([model, info]) =>
+            info.credentials.map(field => {
+                const inputId = escapeHtml(`cred-${model}-${field.id}`);
+                const isSecret = (field.type || 'password') === 'password';
+                return `
+                    <div class="api-key-input">
+                        <label for="${inputId}">
+                            <span class="key-icon">${info.icon}</span> ${escapeHtml(field.label)}
+                        </label>
+                        <div class="key-input-wrapper">
+                            <input type="${isSecret ? 'password' : 'text'}" id="${inputId}" data-storage-key="${field.storageKey}"
+                                placeholder="${escapeHtml(field.placeholder || '')}" autocomplete="off"
+                                value="${escapeHtml(localStorage.getItem(field.storageKey) || '')}">
+                            ${isSecret ? `<button class="toggle-visibility" data-target="${inputId}">${VISIBILITY_ICONS}</button>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('')
+        ).join('');
+    }
+
+    function renderEndpointRow(endpoint) {
+        const id = endpoint.id;
+        return `
+            <div class="endpoint-row" data-id="${id}">
+                <div class="endpoint-row-header">
+                    <span class="key-icon">🔌</span>
+                    <input type="text" class="endpoint-name" data-field="name" placeholder="Name, e.g. Llama 3 (Ollama)"
+                        value="${escapeHtml(endpoint.name || '')}" autocomplete="off">
+                    <button class="endpoint-remove" title="Remove endpoint">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="key-input-wrapper">
+                    <input type="text" data-field="baseUrl" placeholder="Base URL, e.g. http://localhost:11434/v1"
+                        value="${escapeHtml(endpoint.baseUrl || '')}" autocomplete="off">
+                </div>
+                <div class="key-input-wrapper">
+                    <input type="text" data-field="model" placeholder="Model, e.g. llama3.1"
+                        value="${escapeHtml(endpoint.model || '')}" autocomplete="off">
+                </div>
+                <div class="key-input-wrapper">
+                    <input type="password" id="endpoint-key-${id}" data-field="apiKey" placeholder="API key (optional)"
+                        value="${escapeHtml(endpoint.apiKey || '')}" autocomplete="off">
+                    <button class="toggle-visibility" data-target="endpoint-key-${id}">${VISIBILITY_ICONS}</button>
+                </div>
+                <div class="key-input-wrapper">
+                    <textarea data-field="headers" rows="2" placeholder="Extra headers, one per line (Header: value)">${escapeHtml(CustomEndpoints.formatHeaders(endpoint.headers))}</textarea>
+                </div>
+                <label class="endpoint-option">
+                    <input type="checkbox" data-field="vision" ${endpoint.vision ? 'checked' : ''}>
+                    Model accepts images
+                </label>
+            </div>
+        `;
+    }
+
+    function renderCustomEndpointSettings() {
+        elements.customEndpointSettings.innerHTML = CustomEndpoints.load().map(renderEndpointRow).join('');
+    }
+
+    function addEndpointRow() {
+        elements.customEndpointSettings.insertAdjacentHTML('beforeend', renderEndpointRow({ id: CustomEndpoints.createId() }));
+        elements.customEndpointSettings.lastElementChild.querySelector('[data-field="name"]').focus();
+    }
+
+    /**
+     * Read the custom endpoint rows, skipping rows without a base URL
+     */
+    function collectCustomEndpoints() {
+        return [...elements.customEndpointSettings.querySelectorAll('.endpoint-row')].map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            return {
+                id: row.dataset.id,
+                name: field('name'),
+                baseUrl: field('baseUrl'),
+                model: field('model'),
+                apiKey: field('apiKey'),
+                headers: CustomEndpoints.parseHeaders(field('headers')),
+                vision: row.querySelector('[data-field="vision"]').checked
+            };
+        }).filter(endpoint => endpoint.baseUrl);
+    }
+
+    function renderPipelineRow(pipeline) {
+        return `
+            <div class="endpoint-row pipeline-row" data-id="${pipeline.id}">
+                <div class="endpoint-row-header">
+                    <span class="key-icon">⛓️</span>
+                    <input type="text" class="endpoint-name" data-field="name" placeholder="Name, e.g. Draft → Review → Refine"
+                        value="${escapeHtml(pipeline.name || '')}" autocomplete="off">
+                    <button class="endpoint-remove" title="Remove pipeline">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="pipeline-step-list">
+                    ${pipeline.steps.map(renderPipelineStepRow).join('')}
+                </div>
+                <button class="btn btn-secondary pipeline-add-step">+ Add Step</button>
+            </div>
+        `;
+    }
+
+    function renderPipelineStepRow(step) {
+        return `
+            <div class="pipeline-step-row">
+                <div class="pipeline-step-header">
+                    <select data-field="model">
+                        ${Object.entries(Synthesizer.models).map(([model, info]) => `
+                            <option value="${escapeHtml(model)}" ${model === step.model ? 'selected' : ''}>${info.icon} ${escapeHtml(info.name)}</option>
+                        `).join('')}
+                        ${step.model && !Synthesizer.models[step.model] ? `<option value="${escapeHtml(step.model)}" selected>${escapeHtml(step.model)} (missing)</option>` : ''}
+                    </select>
+                    <input type="text" data-field="label" placeholder="Label, e.g. Draft" value="${escapeHtml(step.label || '')}" autocomplete="off">
+                    <button class="endpoint-remove pipeline-remove-step" title="Remove step">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <textarea data-field="prompt" rows="3" placeholder="Prompt template">${escapeHtml(step.prompt || '')}</textarea>
+            </div>
+        `;
+    }
+
+    function renderPipelineSettings() {
+        elements.pipelineSettings.innerHTML = Pipelines.load().map(renderPipelineRow).join('');
+    }
+
+    function addPipelineRow() {
+        const models = Object.keys(Synthesizer.models);
+        elements.pipelineSettings.insertAdjacentHTML('beforeend', renderPipelineRow({
+            id: Pipelines.createId(),
+            steps: [
+                { model: models[0], label: 'Draft', prompt: Pipelines.defaultPrompts.first },
+                { model: models[1] || models[0], label: 'Review', prompt: Pipelines.defaultPrompts.next }
+            ]
+        }));
+        elements.pipelineSettings.lastElementChild.querySelector('[data-field="name"]').focus();
+    }
+
+    function addPipelineStep(row) {
+        const steps = row.querySelector('.pipeline-step-list');
+        steps.insertAdjacentHTML('beforeend', renderPipelineStepRow({
+            model: Object.keys(Synthesizer.models)[0],
+            prompt: steps.children.length ? Pipelines.defaultPrompts.next : Pipelines.defaultPrompts.first
+        }));
+    }
+
+    /**
+     * Read the pipeline rows, skipping pipelines without steps
+     */
+    function collectPipelines() {
+        return [...elements.pipelineSettings.querySelectorAll('.pipeline-row')].map((row, i) => ({
+            id: row.dataset.id,
+            name: row.querySelector('[data-field="name"]').value.trim() || `Pipeline ${i + 1}`,
+            steps: [...row.querySelectorAll('.pipeline-step-row')].map(stepRow => {
+                const field = name => stepRow.querySelector(`[data-field="${name}"]`).value.trim();
+                return { model: field('model'), label: field('label'), prompt: field('prompt') };
+            })
+        })).filter(pipeline => pipeline.steps.length > 0);
+    }
+
+    function renderParameterSettings() {
+        const params = JSON.parse(localStorage.getItem('model_params') || '{}');
+        const variants = ModelCatalog.loadVariants();
+
+        // Variants share their base provider's parameters
+        const providers = Object.entries(Synthesizer.models).filter(([_, info]) => !info.variantOf);
+
+        elements.parameterSettings.innerHTML = providers.map(([model, info]) => {
+            const saved = params[model] || {};
+            const value = name => (saved[name] ?? '');
+            const canList = ModelCatalog.canList(model);
+            return `
+                <div class="model-params" data-model="${escapeHtml(model)}">
+                    <div class="model-params-header">
+                        <span class="key-icon">${info.icon}</span> ${escapeHtml(info.name)}
+                        ${canList ? `
+                            <span class="model-catalog-status">${describeCatalog(model)}</span>
+                            <button class="btn btn-secondary" data-refresh="${escapeHtml(model)}">Refresh models</button>
+                        ` : ''}
+                    </div>
+                    <div class="model-params-grid">
+                        <label class="model-params-variant">
+                            Model variant
+                            <input type="text" data-param="model" autocomplete="off" list="models-${escapeHtml(model)}"
+                                placeholder="${escapeHtml(info.api.model || '')}" value="${escapeHtml(value('model'))}">
+                            <datalist id="models-${escapeHtml(model)}">${renderCatalogOptions(model)}</datalist>
+                        </label>
+                        <label class="model-params-variant">
+                            Also compare (one column each)
+                            <input type="text" data-variants autocomplete="off"
+                                placeholder="Other variants, comma separated" value="${escapeHtml((variants[model] || []).join(', '))}">
+                        </label>
+                        <label>
+                            Temperature
+                            <input type="number" data-param="temperature" min="0" max="2" step="0.1"
+                                placeholder="Default" value="${value('temperature')}">
+                        </label>
+                        <label>
+                            Top P
+                            <input type="number" data-param="topP" min="0" max="1" step="0.05"
+                                placeholder="Default" value="${value('topP')}">
+                        </label>
+                        <label>
+                            Max tokens
+                            <input type="number" data-param="maxTokens" min="1" step="1"
+                                placeholder="Default" value="${value('maxTokens')}">
+                        </label>
+                        <label>
+                            Context window
+                            <input type="number" data-param="contextWindow" min="1" step="1"
+                                placeholder="${ContextWindow.sizeFor(model, { model: saved.model })}" value="${value('contextWindow')}">
+                        </label>
+                        <label class="model-params-stop">
+                            Stop sequences
+                            <textarea data-param="stop" rows="2" placeholder="One per line">${escapeHtml((saved.stop || []).join('\n'))}</textarea>
+                        </label>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function renderCatalogOptions(model) {
+        return (ModelCatalog.get(model)?.models || [])
+            .map(id => `<option value="${escapeHtml(id)}"></option>`)
+            .join('');
+    }
+
+    function describeCatalog(model) {
+        const cached = ModelCatalog.get(model);
+        if (!cached) return 'Not loaded';
+        const count = cached.models.length;
+        return `${count} model${count === 1 ? '' : 's'} · ${formatDate(cached.fetchedAt)}`;
+    }
+
+    async function refreshModelList(button) {
+        const model = button.dataset.refresh;
+        const row = button.closest('.model-params');
+        const status = row.querySelector('.model-catalog-status');
+
+        button.disabled = true;
+        status.textContent = 'Loading…';
+        try {
+            await ModelCatalog.refresh(model);
+            row.querySelector('datalist').innerHTML = renderCatalogOptions(model);
+            showToast(`${Synthesizer.models[model].name}: ${describeCatalog(model)}`, 'success');
+        } catch (error) {
+            showToast(`Could not list ${Synthesizer.models[model].name} models: ${error.message}`, 'error');
+        } finally {
+            status.textContent = describeCatalog(model);
+            button.disabled = false;
         }
     }
 
+    /**
+     * Read the side-by-side variant inputs, ignoring repeats of the provider's own variant
+     */
+    function collectVariantSettings() {
+        const variants = {};
+        elements.parameterSettings.querySelectorAll('.model-params').forEach(row => {
+            const model = row.dataset.model;
+            const own = row.querySelector('[data-param="model"]').value.trim() || Synthesizer.models[model]?.api?.model;
+            const list = row.querySelector('[data-variants]').value.split(',')
+                .map(id => id.trim())
+                .filter((id, i, all) => id && id !== own && all.indexOf(id) === i);
+            if (list.length > 0) variants[model] = list;
+        });
+        return variants;
+    }
+
+    /**
+     * Read the parameter form, keeping only the fields that were filled in
+     */
+    function collectParameterSettings() {
+        const params = {};
+        const invalid = [];
+
+        elements.parameterSettings.querySelectorAll('.model-params').forEach(row => {
+            const model = row.dataset.model;
+            const field = name => row.querySelector(`[data-param="${name}"]`).value.trim();
+            const number = (name, min, max) => {
+                if (field(name) === '') return undefined;
+                const value = Number(field(name));
+                if (Number.isNaN(value) || value < min || value > max) {
+                    invalid.push(`${Synthesizer.models[model].name} ${name}`);
+                    return undefined;
+                }
+                return value;
+            };
+
+            const maxTokens = number('maxTokens', 1, Infinity);
+            const contextWindow = number('contextWindow', 1, Infinity);
+            const entry = {
+                model: field('model') || undefined,
+                temperature: number('temperature', 0, 2),
+                topP: number('topP', 0, 1),
+                maxTokens: maxTokens === undefined ? undefined : Math.round(maxTokens),
+                contextWindow: contextWindow === undefined ? undefined : Math.round(contextWindow),
+                stop: field('stop').split('\n').filter(Boolean)
+            };
+            if (entry.stop.length === 0) delete entry.stop;
+            Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+            if (Object.keys(entry).length > 0) params[model] = entry;
+        });
+
+        return { params, invalid };
+    }
+
+    function renderPriceRow(prefix = '', price = {}) {
+        return `
+            <div class="price-row">
+                <input type="text" data-field="prefix" placeholder="Model id, e.g. gpt-4o" value="${escapeHtml(prefix)}" autocomplete="off">
+                <input type="number" data-field="input" min="0" step="0.01" placeholder="Input" value="${price.input ?? ''}" title="Input $ / 1M tokens">
+                <input type="number" data-field="output" min="0" step="0.01" placeholder="Output" value="${price.output ?? ''}" title="Output $ / 1M tokens">
+                <button class="endpoint-remove" title="Remove price">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    function renderPriceSettings() {
+        elements.priceSettings.innerHTML = `
+            <div class="price-row price-row-header">
+                <span>Model</span><span>Input $/1M</span><span>Output $/1M</span><span></span>
+            </div>
+            ${Object.entries(Usage.loadPrices()).map(([prefix, price]) => renderPriceRow(prefix, price)).join('')}
+        `;
+    }
+
+    function addPriceRow() {
+        elements.priceSettings.insertAdjacentHTML('beforeend', renderPriceRow());
+        elements.priceSettings.lastElementChild.querySelector('[data-field="prefix"]').focus();
+    }
+
+    /**
+     * Read the price rows, skipping rows without a model id
+     */
+    function collectPriceSettings() {
+        const prices = {};
+        elements.priceSettings.querySelectorAll('.price-row:not(.price-row-header)').forEach(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            if (!field('prefix')) return;
+            prices[field('prefix')] = {
+                input: Math.max(0, parseFloat(field('input')) || 0),
+                output: Math.max(0, parseFloat(field('output')) || 0)
+            };
+        });
+        return prices;
+    }
+
+    function renderBudgetSettings() {
+        const budgets = Budgets.load();
+        const providers = Object.entries(Synthesizer.models).filter(([_, info]) => !info.variantOf);
+
+        elements.budgetAction.value = Budgets.getAction();
+        elements.budgetSettings.innerHTML = `
+            <div class="budget-row budget-row-header">
+                <span>Provider</span>
+                ${Object.values(Budgets.periods).map(period => `<span>${period.label} $</span>`).join('')}
+            </div>
+            ${providers.map(([model, info]) => `
+                <div class="budget-row" data-model="${escapeHtml(model)}">
+                    <span title="${escapeHtml(`Spent ${Usage.formatCost(Budgets.spent(model, 'daily'))} today, ${Usage.formatCost(Budgets.spent(model, 'monthly'))} this month`)}">
+                        ${info.icon} ${escapeHtml(info.name)}
+                    </span>
+                    ${Object.keys(Budgets.periods).map(period => `
+                        <input type="number" data-period="${period}" min="0" step="0.01" placeholder="No limit"
+                            value="${budgets[model]?.[period] ?? ''}">
+                    `).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Read the budget rows, keeping only positive limits
+     */
+    function collectBudgetSettings() {
+        const budgets = {};
+        elements.budgetSettings.querySelectorAll('.budget-row[data-model]').forEach(row => {
+            const limits = {};
+            row.querySelectorAll('input[data-period]').forEach(input => {
+                const limit = parseFloat(input.value);
+                if (limit > 0) limits[input.dataset.period] = limit;
+            });
+            if (Object.keys(limits).length > 0) budgets[row.dataset.model] = limits;
+        });
+        return budgets;
+    }
+
+    function renderSynthesizerOptions() {
+        const saved = localStorage.getItem('synthesizer_model') || 'auto';
+        const modelOptions = Object.entries(Synthesizer.models)
+            .map(([model, info]) => `<option value="${escapeHtml(model)}">${escapeHtml(info.name)}</option>`)
+            .join('');
+
+        elements.synthesizerModel.innerHTML = `
+            <option value="auto">Auto (first available)</option>
+            ${modelOptions}
+            <option value="none">Off (fastest response)</option>
+        `;
+        elements.synthesizerModel.value = Synthesizer.models[saved] || saved === 'none' ? saved : 'auto';
+    }
+
     function saveSettings() {
         // Log what we're saving for debugging
         console.log('Saving API keys...');
-        console.log('OpenAI key length:', elements.openaiKey.value.trim().length);
-        console.log('Gemini key length:', elements.geminiKey.value.trim().length);
-        console.log('Claude key length:', elements.claudeKey.value.trim().length);
-        console.log('Grok key length:', elements.grokKey.value.trim().length);
-
-        localStorage.setItem('openai_api_key', elements.openaiKey.value.trim());
-        localStorage.setItem('gemini_api_key', elements.geminiKey.value.trim());
-        localStorage.setItem('claude_api_key', elements.claudeKey.value.trim());
-        localStorage.setItem('grok_api_key', elements.grokKey.value.trim());
+        elements.providerSettings.querySelectorAll('input[data-storage-key]').forEach(input => {
+            console.log(`${input.dataset.storageKey} length:`, input.value.trim().length);
+            localStorage.setItem(input.dataset.storageKey, input.value.trim());
+        });
+
+        // Register custom endpoints first so fallbacks can refer to them
+        const previousModels = Object.keys(Synthesizer.models);
+        const endpoints = collectCustomEndpoints();
+        const incomplete = endpoints.filter(endpoint => !endpoint.model);
+        if (incomplete.length > 0) {
+            showToast(`Set a model name for ${incomplete.map(e => e.name || e.baseUrl).join(', ')}`, 'warning');
+        }
+        CustomEndpoints.save(endpoints);
+        ModelCatalog.saveVariants(collectVariantSettings());
+        Pipelines.save(collectPipelines());
+
+        // New endpoints and variants join the comparison, removed ones leave it
+        const addedModels = Object.keys(Synthesizer.models).filter(model => !previousModels.includes(model));
+        state.selectedModels = [...state.selectedModels, ...addedModels].filter(model => Synthesizer.models[model]);
+        if (state.selectedModels.length === 0) state.selectedModels = Object.keys(Synthesizer.models);
+        localStorage.setItem('selected_models', JSON.stringify(state.selectedModels));
+        renderAttachmentList();
+
         localStorage.setItem('default_view', elements.defaultView.value);
+        localStorage.setItem('synthesizer_model', elements.synthesizerModel.value);
         localStorage.setItem('stream_responses', elements.streamResponses.checked);
+        localStorage.setItem('separate_threads', elements.separateThreads.checked);
+        localStorage.setItem('context_strategy', elements.contextStrategy.value);
+        localStorage.setItem('system_prompt', elements.systemPrompt.value.trim());
+        localStorage.setItem('max_retries', Math.max(0, parseInt(elements.maxRetries.value, 10) || 0));
+
+        const enabledTools = [...elements.toolSettings.querySelectorAll('input[data-tool]:checked')]
+            .map(input => input.dataset.tool);
+        localStorage.setItem('enabled_tools', JSON.stringify(enabledTools));
+
+        Usage.savePrices(collectPriceSettings());
+        Budgets.save(collectBudgetSettings());
+        localStorage.setItem(Budgets.actionKey, elements.budgetAction.value);
+
+        // Parameters of removed endpoints are dropped with their rows
+        const { params, invalid } = collectParameterSettings();
+        localStorage.setItem('model_params', JSON.stringify(params));
+        if (invalid.length > 0) {
+            showToast(`Ignored out-of-range values: ${invalid.join(', ')}`, 'warning');
+        }
+
+        const timeouts = {};
+        elements.timeoutSettings.querySelectorAll('input[data-model]').forEach(input => {
+            const seconds = parseFloat(input.value);
+            if (seconds > 0) timeouts[input.dataset.model] = seconds;
+        });
+        localStorage.setItem('model_timeouts', JSON.stringify(timeouts));
+
+        const chains = {};
+        const unknown = [];
+        elements.fallbackSettings.querySelectorAll('input[data-model]').forEach(input => {
+            const chain = parseFallbackChain(input.value);
+            chain.filter(step => !Synthesizer.models[step.model]).forEach(step => unknown.push(step.model));
+            if (chain.length > 0) chains[input.dataset.model] = chain;
+        });
+        localStorage.setItem('fallback_chains', JSON.stringify(chains));
+        if (unknown.length > 0) {
+            showToast(`Unknown fallback models: ${unknown.join(', ')}`, 'warning');
+        }
 
         // Verify the keys were saved
-        console.log('Verification - OpenAI configured:', OpenAIAPI.isConfigured());
-        console.log('Verification - Gemini configured:', GeminiAPI.isConfigured());
-        console.log('Verification - Claude configured:', ClaudeAPI.isConfigured());
-        console.log('Verification - Grok configured:', GrokAPI.isConfigured());
+        Object.values(Synthesizer.models).forEach(provider => {
+            console.log(`Verification - ${provider.name} configured:`, provider.isConfigured());
+        });
 
         state.viewMode = elements.defaultView.value;
         updateViewButtons();
         updateAPIStatus();
+        renderModelPills();
+        renderSettingsForms();
 
         showToast('Settings saved successfully!', 'success');
         closeModal('settings');
     }
 
+    function renderToolSettings() {
+        const enabled = JSON.parse(localStorage.getItem('enabled_tools') || '[]');
+
+        elements.toolSettings.innerHTML = Object.values(Synthesizer.tools).map(tool => `
+            <div class="preference-row">
+                <label for="tool-${tool.name}">
+                    <code>${escapeHtml(tool.name)}</code>
+                    <span class="tool-description">${escapeHtml(tool.description)}</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" id="tool-${tool.name}" data-tool="${tool.name}" ${enabled.includes(tool.name) ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>
+            </div>
+        `).join('');
+    }
+
+    function renderTimeoutSettings() {
+        const timeouts = JSON.parse(localStorage.getItem('model_timeouts') || '{}');
+        const defaultSeconds = RequestHelper.defaultTimeout / 1000;
+
+        elements.timeoutSettings.innerHTML = Object.entries(Synthesizer.models).map(([model, info]) => `
+            <div class="preference-row">
+                <label for="timeout-${escapeHtml(model)}">${info.icon} ${escapeHtml(info.name)} Timeout (s)</label>
+                <input type="number" id="timeout-${escapeHtml(model)}" data-model="${escapeHtml(model)}" min="1" step="1"
+                    value="${timeouts[model] || defaultSeconds}">
+            </div>
+        `).join('');
+    }
+
+    function parseFallbackChain(text) {
+        return text.split(',')
+            .map(step => step.trim())
+            .filter(Boolean)
+            .map(step => {
+                const [model, ...variant] = step.split(':');
+                return variant.length > 0
+                    ? { model: model.trim(), variant: variant.join(':').trim() }
+                    : { model: model.trim() };
+            });
+    }
+
+    function formatFallbackChain(chain) {
+        return chain.map(step => (step.variant ? `${step.model}:${step.variant}` : step.model)).join(', ');
+    }
+
+    function renderFallbackSettings() {
+        const chains = JSON.parse(localStorage.getItem('fallback_chains') || '{}');
+
+        elements.fallbackSettings.innerHTML = Object.entries(Synthesizer.models).map(([model, info]) => `
+            <div class="api-key-input">
+                <label for="fallback-${escapeHtml(model)}">
+                    <span class="key-icon">${info.icon}</span> If ${escapeHtml(info.name)} fails
+                </label>
+                <div class="key-input-wrapper">
+                    <input type="text" id="fallback-${escapeHtml(model)}" data-model="${escapeHtml(model)}" autocomplete="off"
+                        placeholder="No fallback" value="${escapeHtml(formatFallbackChain(chains[model] || []))}">
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Options for Synthesizer calls, with per-model parameters, timeouts and fallbacks
+     */
+    function getRequestOptions() {
+        const params = JSON.parse(localStorage.getItem('model_params') || '{}');
+        const timeouts = JSON.parse(localStorage.getItem('model_timeouts') || '{}');
+        const chains = JSON.parse(localStorage.getItem('fallback_chains') || '{}');
+        const modelOptions = {};
+        Object.entries(Synthesizer.models).forEach(([model, info]) => {
+            // A variant's own model id comes from its connector, not the base provider's setting
+            const { model: _, ...inherited } = params[info.variantOf] || {};
+            modelOptions[model] = { ...(info.variantOf ? inherited : params[model] || {}) };
+            if (timeouts[model]) modelOptions[model].timeout = timeouts[model] * 1000;
+            if (chains[model]) modelOptions[model].fallbacks = chains[model];
+        });
+
+        const tools = JSON.parse(localStorage.getItem('enabled_tools') || '[]')
+            .filter(name => Synthesizer.tools[name]);
+
+        return {
+            maxRetries: Number(localStorage.getItem('max_retries') ?? RequestHelper.defaultMaxRetries),
+            contextStrategy: localStorage.getItem('context_strategy') || 'truncate',
+            modelOptions: modelOptions,
+            ...(tools.length ? { tools: tools } : {}),
+            onRetry: (model, info) => {
+                setModelProgressStatus(model, `Retrying after ${info.status} (attempt ${info.attempt + 1})`);
+            },
+            onToolCall: (model, call) => {
+                setModelProgressStatus(model, `Called ${call.name}`);
+            }
+        };
+    }
+
     function clearAllData() {
         if (confirm('Are you sure you want to clear all data? This will remove your API keys, chat history, and preferences.')) {
             localStorage.clear();
-            state.messages = [];
+            state.tree = ChatTree.create();
+            syncMessages();
             state.chatHistory = [];
             state.currentChatId = generateId();
 
-            elements.openaiKey.value = '';
-            elements.geminiKey.value = '';
-            elements.claudeKey.value = '';
-            elements.grokKey.value = '';
-
+            renderSettingsForms();
             renderMessages();
             updateAPIStatus();
             showToast('All data cleared', 'info');
@@ -161,12 +839,8 @@
     }
 
     function updateAPIStatus() {
-        const configured = [
-            OpenAIAPI.isConfigured(),
-            GeminiAPI.isConfigured(),
-            ClaudeAPI.isConfigured(),
-            GrokAPI.isConfigured()
-        ].filter(Boolean).length;
+        // Over-budget models still count as set up
+        const configured = Object.values(Synthesizer.models).filter(provider => provider.isConfigured()).length;
 
         const warning = elements.apiStatus.querySelector('.api-warning');
         if (configured > 0) {
@@ -202,14 +876,61 @@
     }
 
     // ===== Model Selection =====
+    function renderModelPills() {
+        elements.modelSelector.innerHTML = Object.entries(Synthesizer.models).map(([model, info]) => `
+            <button class="model-pill" data-model="${escapeHtml(model)}" style="--model-color: ${info.color}">
+                <span class="model-icon">${info.icon}</span>
+                <span class="model-name">${escapeHtml(info.shortName)}</span>
+                <span class="pill-note">Over budget</span>
+            </button>
+        `).join('') + renderPipelineSelect();
+        updateModelPills();
+    }
+
+    /**
+     * Saved pipelines as an alternative to asking the selected models in parallel
+     */
+    function renderPipelineSelect() {
+        const pipelines = Pipelines.load();
+        if (pipelines.length === 0) return '';
+
+        const active = Pipelines.getActive();
+        return `
+            <select class="pipeline-select" id="pipelineSelect" title="Ask the selected models in parallel, or run a saved pipeline">
+                <option value="">Parallel</option>
+                ${pipelines.map(pipeline => `
+                    <option value="${pipeline.id}" ${pipeline.id === active?.id ? 'selected' : ''}>⛓️ ${escapeHtml(pipeline.name)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
     function updateModelPills() {
+        // A pipeline picks its own models, so the pills don't apply
+        elements.modelSelector.classList.toggle('pipeline-active', !!Pipelines.getActive());
+
         const pills = elements.modelSelector.querySelectorAll('.model-pill');
         pills.forEach(pill => {
             const model = pill.dataset.model;
+            const info = Synthesizer.models[model];
+            const budget = Budgets.status(model);
+
             pill.classList.toggle('active', state.selectedModels.includes(model));
+            pill.classList.toggle('over-budget', budget.over);
+            pill.title = budget.over
+                ? `${info.name} is left out: ${budget.reason}`
+                : `${info.name}${info.vendor ? ` (${info.vendor})` : ''}`;
         });
     }
 
+    /**
+     * Refresh per-chat spending and the over-budget pills after the chat or ledger changed
+     */
+    function updateBudgetState() {
+        Budgets.setChatSpending(spendingEntries(ChatTree.allMessages(state.tree)));
+        updateModelPills();
+    }
+
     function toggleModel(model) {
         const index = state.selectedModels.indexOf(model);
 
@@ -226,16 +947,38 @@
 
         localStorage.setItem('selected_models', JSON.stringify(state.selectedModels));
         updateModelPills();
+        renderAttachmentList();
     }
 
     // ===== Chat History =====
     function loadChatHistory() {
         const saved = localStorage.getItem('chat_history');
         if (saved) {
-            state.chatHistory = JSON.parse(saved);
+            // Chats saved before branching hold a plain message list
+            state.chatHistory = JSON.parse(saved).map(({ messages, ...chat }) =>
+                chat.tree ? chat : { ...chat, tree: ChatTree.fromMessages(messages || []) }
+            );
         }
     }
 
+    /**
+     * Refresh the open branch after the tree changed
+     */
+    function syncMessages() {
+        state.path = ChatTree.activePath(state.tree);
+        state.messages = ChatTree.messages(state.tree, state.path);
+    }
+
+    /**
+     * Add a message to the open branch, or branch off an earlier node
+     * @param {Object} message - Chat message
+     * @param {string} parentId - Node to branch from, defaults to the end of the open branch
+     */
+    function addMessage(message, parentId = state.path[state.path.length - 1] || ChatTree.rootId) {
+        ChatTree.append(state.tree, parentId, message);
+        syncMessages();
+    }
+
     function saveChatHistory() {
         // Update current chat in history
         if (state.messages.length > 0) {
@@ -243,7 +986,8 @@
             const chatData = {
                 id: state.currentChatId,
                 title: getChatTitle(),
-                messages: state.messages,
+                tree: state.tree,
+                ...(state.contextSummary ? { contextSummary: state.contextSummary } : {}),
                 timestamp: Date.now()
             };
 
@@ -255,14 +999,25 @@
 
             // Keep only last 50 chats
             state.chatHistory = state.chatHistory.slice(0, 50);
-            localStorage.setItem('chat_history', JSON.stringify(state.chatHistory));
+            try {
+                localStorage.setItem('chat_history', JSON.stringify(state.chatHistory));
+            } catch (error) {
+                // Attached files can exceed the storage quota; keep the chats without their contents
+                const compact = state.chatHistory.map(chat => ({
+                    ...chat,
+                    tree: ChatTree.mapMessages(chat.tree, message => Attachments.stripData([message])[0])
+                }));
+                localStorage.setItem('chat_history', JSON.stringify(compact));
+                showToast('Attachments are too large to keep in history; only their names were saved', 'warning');
+            }
         }
     }
 
     function getChatTitle() {
         const firstUserMessage = state.messages.find(m => m.role === 'user');
         if (firstUserMessage) {
-            return firstUserMessage.content.substring(0, 50) + (firstUserMessage.content.length > 50 ? '...' : '');
+            const text = firstUserMessage.content || firstUserMessage.attachments?.map(a => a.name).join(', ') || '';
+            return text.substring(0, 50) + (text.length > 50 ? '...' : '');
         }
         return 'New Chat';
     }
@@ -271,7 +1026,10 @@
         const chat = state.chatHistory.find(c => c.id === chatId);
         if (chat) {
             state.currentChatId = chatId;
-            state.messages = chat.messages;
+            state.tree = chat.tree;
+            syncMessages();
+            state.editingIndex = null;
+            state.contextSummary = chat.contextSummary || null;
             elements.chatTitle.textContent = chat.title;
             renderMessages();
             closeModal('history');
@@ -291,12 +1049,19 @@
     function newChat() {
         saveChatHistory();
         state.currentChatId = generateId();
-        state.messages = [];
-        state.streamingResponses = {};
+        state.tree = ChatTree.create();
+        syncMessages();
+        state.editingIndex = null;
+        state.contextSummary = null;
         elements.chatTitle.textContent = 'New Chat';
         renderMessages();
     }
 
+    function renderChatCost(chat) {
+        const total = chatUsage(ChatTree.allMessages(chat.tree));
+        return total.cost > 0 ? ` · ${Usage.formatCost(total.cost)}` : '';
+    }
+
     function renderHistoryList() {
         if (state.chatHistory.length === 0) {
             elements.historyList.innerHTML = '<p class="empty-state">No chat history yet. Start a conversation!</p>';
@@ -307,7 +1072,7 @@
             <div class="history-item" data-chat-id="${chat.id}">
                 <div class="history-item-info">
                     <span class="history-item-title">${escapeHtml(chat.title)}</span>
-                    <span class="history-item-date">${formatDate(chat.timestamp)}</span>
+                    <span class="history-item-date">${formatDate(chat.timestamp)}${renderChatCost(chat)}</span>
                 </div>
                 <button class="history-item-delete" data-chat-id="${chat.id}" title="Delete">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -320,39 +1085,106 @@
     }
 
     // ===== Message Handling =====
-    async function sendMessage() {
-        const content = elements.messageInput.value.trim();
-        if (!content || state.isLoading) return;
+    /**
+     * Send the composer's message, or an edited earlier message as a new branch
+     * @param {Object} edit - { index, content, attachments } of the edited user message
+     */
+    async function sendMessage(edit) {
+        const content = edit ? edit.content : elements.messageInput.value.trim();
+        const attachments = edit ? edit.attachments : state.pendingAttachments;
+        if ((!content && attachments.length === 0) || state.isLoading) return;
+
+        // A pipeline runs its own models instead of the selected ones
+        const pipeline = Pipelines.getActive();
+        const pipelineProblem = pipeline && Pipelines.validate(pipeline);
+        if (pipelineProblem) {
+            showToast(`Pipeline "${pipeline.name}" can't run: ${pipelineProblem}`, 'warning');
+            return;
+        }
 
         // Check if any models are configured
-        const activeModels = Synthesizer.getActiveModels(state.selectedModels);
+        let activeModels = pipeline
+            ? [...new Set(pipeline.steps.map(step => step.model))]
+            : Synthesizer.getActiveModels(state.selectedModels);
         console.log('Selected models:', state.selectedModels);
         console.log('Active (configured) models:', activeModels);
 
         if (activeModels.length === 0) {
             console.warn('No active models configured! Selected models:', state.selectedModels);
-            console.warn('API Configuration status:', {
-                OpenAI: typeof OpenAIAPI !== 'undefined' ? OpenAIAPI.isConfigured() : 'API not loaded',
-                Gemini: typeof GeminiAPI !== 'undefined' ? GeminiAPI.isConfigured() : 'API not loaded',
-                Claude: typeof ClaudeAPI !== 'undefined' ? ClaudeAPI.isConfigured() : 'API not loaded',
-                Grok: typeof GrokAPI !== 'undefined' ? GrokAPI.isConfigured() : 'API not loaded'
-            });
+            console.warn('API Configuration status:', Object.fromEntries(
+                Object.values(Synthesizer.models).map(provider => [provider.name, provider.isConfigured()])
+            ));
+            const overBudget = state.selectedModels.filter(model => Budgets.status(model).over);
+            if (overBudget.length > 0) {
+                showToast(`Over budget: ${overBudget.map(model => Synthesizer.models[model].name).join(', ')}. Raise the limits in Settings or pick another model.`, 'warning');
+                return;
+            }
             showToast('Please configure API keys in Settings', 'warning');
             openModal('settings');
             return;
         }
 
-        // Add user message
-        state.messages.push({
+        // JSON mode needs a parseable schema before anything is sent
+        const schema = state.jsonMode ? readSchema() : null;
+        if (state.jsonMode && !schema) {
+            showToast('The JSON schema is not valid JSON', 'error');
+            elements.schemaInput.focus();
+            return;
+        }
+
+        // Estimate what this message costs each model and check it against the budgets
+        const requestOptions = getRequestOptions();
+        const history = edit ? state.messages.slice(0, edit.index) : state.messages;
+        const draft = buildApiMessages([...history, { role: 'user', content: content, attachments: attachments }]);
+        const rounds = state.debateMode ? getDebateRounds() : 1;
+        const overLimit = activeModels
+            .map(model => {
+                const options = Synthesizer.resolveOptions(model, requestOptions);
+                const estimate = Budgets.estimate(model, draft, options) * rounds;
+                return { model: model, estimate: estimate, ...Budgets.status(model, estimate) };
+            })
+            .filter(check => check.over);
+
+        if (overLimit.length > 0) {
+            const names = overLimit.map(check => Synthesizer.models[check.model].name);
+            if (Budgets.getAction() === 'block' && pipeline) {
+                showToast(`This pipeline would put ${names.join(', ')} over budget`, 'error');
+                return;
+            }
+            if (Budgets.getAction() === 'block') {
+                activeModels = activeModels.filter(model => !overLimit.some(check => check.model === model));
+                if (activeModels.length === 0) {
+                    showToast(`This message would put ${names.join(', ')} over budget`, 'error');
+                    return;
+                }
+                showToast(`Left out to stay within budget: ${names.join(', ')}`, 'warning');
+            } else {
+                const details = overLimit.map(check =>
+                    `• ${Synthesizer.models[check.model].name}: ${check.reason} (~${Usage.formatCost(check.estimate)} for this message)`
+                ).join('\n');
+                if (!confirm(`This message may go over budget:\n\n${details}\n\nSend anyway?`)) return;
+            }
+        }
+
+        // Add user message; an edit starts a sibling branch next to the original
+        addMessage({
             role: 'user',
             content: content,
+            ...(attachments.length ? { attachments: attachments } : {}),
             timestamp: Date.now()
-        });
+        }, edit ? state.tree.nodes[state.path[edit.index]].parentId : undefined);
 
-        // Clear input
-        elements.messageInput.value = '';
-        elements.charCount.textContent = '0';
-        autoResizeTextarea();
+        if (edit) {
+            state.editingIndex = null;
+            state.contextSummary = null;
+        } else {
+            // Clear input
+            state.pendingAttachments = [];
+            renderAttachmentList();
+            elements.messageInput.value = '';
+            elements.charCount.textContent = '0';
+            autoResizeTextarea();
+        }
 
         // Update UI
         elements.welcomeScreen.style.display = 'none';
@@ -361,53 +1193,97 @@
         scrollToBottom();
 
         // Show loading
-        state.isLoading = true;
-        elements.sendBtn.disabled = true;
-        showLoadingIndicator();
+        setLoading(true);
+        state.turnCancelled = false;
+        // Arena answers stay anonymous until the vote, so no per-model progress
+        showLoadingIndicator(pipeline || state.arenaMode ? [] : activeModels);
 
         try {
             // Build message history for API
-            const apiMessages = state.messages.map(m => ({
-                role: m.role,
-                content: m.content
-            }));
+            const apiMessages = buildApiMessages(state.messages);
+            const threads = elements.separateThreads.checked
+                ? Object.fromEntries(activeModels.map(model => [model, buildApiMessages(state.messages, model)]))
+                : apiMessages;
 
-            let responses;
-            const useStreaming = elements.streamResponses.checked;
+            if (schema) {
+                requestOptions.responseFormat = { name: 'response', schema: schema };
+            }
+            if (requestOptions.contextStrategy === 'summarize') {
+                requestOptions.contextSummary = await summarizeOlderTurns(apiMessages, activeModels, requestOptions);
+            }
 
-            if (useStreaming) {
-                // Initialize streaming responses
-                state.streamingResponses = {};
-                activeModels.forEach(model => {
-                    state.streamingResponses[model] = '';
-                });
+            if (pipeline) {
+                await runPipelineTurn(pipeline, apiMessages, requestOptions);
+                return;
+            }
+
+            // Stopped while summarizing: the turn is kept with every model marked as stopped
+            let responses = state.turnCancelled
+                ? Object.fromEntries(activeModels.map(model => [model, Synthesizer.stoppedResponse(model)]))
+                : await queryModels(activeModels, threads, requestOptions);
 
-                // Start streaming
-                responses = await Synthesizer.streamAll(
-                    state.selectedModels,
-                    apiMessages,
-                    (model, chunk, full) => {
-                        state.streamingResponses[model] = full;
-                        updateStreamingResponse(model, full);
-                    },
-                    (model, result) => {
-                        // Model completed
-                    }
+            // In debate mode every model that answered sees the others' answers and revises its own
+            const debateRounds = [];
+            const latest = { ...responses };
+            for (let round = 2; round <= rounds; round++) {
+                if (state.turnCancelled) break;
+
+                const previous = responses;
+                const debaters = Object.keys(previous).filter(model =>
+                    previous[model].success && previous[model].content && !previous[model].stopped
                 );
-            } else {
-                responses = await Synthesizer.queryAll(state.selectedModels, apiMessages);
+                if (debaters.length < 2) break;
+
+                debateRounds.push(previous);
+                showLoadingIndicator(state.arenaMode ? [] : debaters);
+                setLoadingText(`Debate round ${round} of ${rounds}: the models are critiquing each other...`);
+                responses = await queryModels(debaters, Object.fromEntries(debaters.map(model => [
+                    model,
+                    Synthesizer.buildDebateMessages(Synthesizer.threadFor(threads, model), model, previous, requestOptions)
+                ])), requestOptions);
+                Object.assign(latest, responses);
+            }
+            // Models that dropped out of the debate keep their last card; their cost is already in debateRounds
+            responses = Object.fromEntries(Object.keys(latest).map(model => [
+                model,
+                responses[model] || { ...latest[model], carriedOver: true }
+            ]));
+
+            // Merge the answers with the synthesizer model; arena turns are voted on instead,
+            // and a stopped turn keeps its partial answers without paying for a merge
+            const merge = !state.arenaMode && !state.turnCancelled;
+            const mergerModel = merge ? Synthesizer.resolveMergerModel(elements.synthesizerModel.value, responses) : null;
+            if (mergerModel) {
+                setLoadingText(`${Synthesizer.models[mergerModel].name} is merging the responses...`);
+            }
+            const synthesized = !merge
+                ? Synthesizer.synthesize(responses)
+                : await Synthesizer.mergeResponses(responses, apiMessages, elements.synthesizerModel.value, requestOptions);
+            const contenders = Object.keys(responses).filter(model => responses[model].success && responses[model].content);
+            if (state.arenaMode && contenders.length < 2 && !state.turnCancelled) {
+                showToast('The arena needs at least two answers to vote on', 'warning');
+            }
+
+            if (synthesized.mergeError) {
+                showToast(synthesized.mergeError, 'warning');
             }
 
-            // Add assistant response
-            const synthesized = Synthesizer.synthesize(responses);
-            state.messages.push({
+            // Add assistant response; an arena turn has no answer in the history until the vote picks one
+            const arena = state.arenaMode && contenders.length > 1;
+            addMessage({
                 role: 'assistant',
-                content: synthesized.content,
+                content: arena ? '' : synthesized.content,
                 responses: responses,
                 synthesized: synthesized,
+                ...(debateRounds.length ? { debateRounds: debateRounds } : {}),
+                ...(arena ? {
+                    arena: { order: Arena.shuffle(contenders), category: Arena.guessCategory(content), vote: null }
+                } : {}),
+                ...(schema ? { schema: schema } : {}),
                 timestamp: Date.now()
             });
 
+            recordUsage(state.messages[state.messages.length - 1]);
             saveChatHistory();
 
         } catch (error) {
@@ -420,89 +1296,469 @@
                 activeModels: activeModels
             });
         } finally {
-            state.isLoading = false;
-            elements.sendBtn.disabled = false;
+            setLoading(false);
             hideLoadingIndicator();
             renderMessages();
             scrollToBottom();
         }
     }
 
-    function showLoadingIndicator() {
-        const existing = document.querySelector('.loading-message');
-        if (existing) existing.remove();
+    /**
+     * Run the steps of a pipeline one after another and add the last answer to the chat
+     */
+    async function runPipelineTurn(pipeline, apiMessages, requestOptions) {
+        const steps = await Synthesizer.runPipeline(pipeline.steps, apiMessages, requestOptions, (index, step) => {
+            if (state.turnCancelled) return false;
+            const label = step.label ? ` (${step.label})` : '';
+            setLoadingText(`Step ${index + 1} of ${pipeline.steps.length}: ${Synthesizer.models[step.model].name}${label}...`);
+        });
 
-        const loadingHtml = `
-            <div class="message assistant loading-message">
-                <div class="message-avatar">🤖</div>
-                <div class="message-content">
-                    <div class="loading-indicator">
-                        <div class="loading-dots">
-                            <span></span>
-                            <span></span>
-                            <span></span>
-                        </div>
-                        <span class="loading-text">Multiple AIs are thinking...</span>
-                    </div>
-                </div>
-            </div>
-        `;
+        const failed = steps.find(step => !step.success);
+        if (failed) {
+            showToast(`${failed.label} failed: ${failed.error || 'no response'}`, 'warning');
+        }
+        const answer = [...steps].reverse().find(step => step.success && step.content);
 
-        elements.chatMessages.insertAdjacentHTML('beforeend', loadingHtml);
-        scrollToBottom();
-    }
+        addMessage({
+            role: 'assistant',
+            content: answer ? answer.content : 'The pipeline did not produce an answer.',
+            pipeline: { id: pipeline.id, name: pipeline.name },
+            pipelineSteps: steps,
+            timestamp: Date.now()
+        });
 
-    function hideLoadingIndicator() {
-        const loading = document.querySelector('.loading-message');
-        if (loading) loading.remove();
+        recordUsage(state.messages[state.messages.length - 1]);
+        saveChatHistory();
     }
 
-    function updateStreamingResponse(model, content) {
-        // Update streaming display
-        const streamingEl = document.querySelector(`.streaming-response[data-model="${model}"]`);
-        if (streamingEl) {
-            streamingEl.innerHTML = marked.parse(content);
+    /**
+     * Ask several models at once, streaming into the live turn when enabled
+     * @param {Array|Object} threads - Shared history, or a thread per model keyed by model
+     */
+    async function queryModels(models, threads, requestOptions) {
+        if (!elements.streamResponses.checked) {
+            return Synthesizer.queryAll(models, threads, requestOptions);
         }
+
+        // Fill each model's pane as tokens arrive
+        return Synthesizer.streamAll(
+            models,
+            threads,
+            (model, chunk, full) => {
+                updateStreamingResponse(model, full);
+            },
+            (model, result) => {
+                updateModelProgress(model, result);
+            },
+            requestOptions
+        );
     }
 
-    // ===== Message Rendering =====
-    function renderMessages() {
-        if (state.messages.length === 0) {
-            elements.welcomeScreen.style.display = 'flex';
-            elements.chatMessages.innerHTML = '';
-            elements.chatMessages.appendChild(elements.welcomeScreen);
-            return;
-        }
+    function setLoading(isLoading) {
+        state.isLoading = isLoading;
+        elements.sendBtn.classList.toggle('stopping', isLoading);
+        elements.sendBtn.title = isLoading ? 'Stop all models' : 'Send Message (Ctrl+Enter)';
+    }
 
-        elements.welcomeScreen.style.display = 'none';
+    function stopGeneration() {
+        state.turnCancelled = true;
+        Synthesizer.abortAll();
+        setLoadingText('Stopping...');
+    }
 
-        const html = state.messages.map((msg, index) => {
-            if (msg.role === 'user') {
-                return renderUserMessage(msg);
-            } else {
-                return renderAssistantMessage(msg, index);
-            }
-        }).join('');
+    /**
+     * Show the in-progress turn: live cards in split view, progress rows in unified view
+     */
+    function showLoadingIndicator(models = []) {
+        hideLoadingIndicator();
+
+        state.liveTurn = {
+            models: models,
+            text: 'Multiple AIs are thinking...',
+            contents: {},
+            statuses: {},
+            results: {}
+        };
 
-        elements.chatMessages.innerHTML = html;
+        elements.chatMessages.insertAdjacentHTML('beforeend', renderLiveTurn());
+        scrollToBottom();
     }
 
-    function renderUserMessage(msg) {
-        return `
-            <div class="message user">
-                <div class="message-avatar">👤</div>
-                <div class="message-content">
-                    <div class="message-bubble">
-                        ${escapeHtml(msg.content)}
-                    </div>
+    function renderLiveTurn() {
+        const turn = state.liveTurn;
+        const indicator = `
+            <div class="loading-indicator">
+                <div class="loading-dots">
+                    <span></span>
+                    <span></span>
+                    <span></span>
                 </div>
+                <span class="loading-text">${escapeHtml(turn.text)}</span>
             </div>
         `;
-    }
 
-    function renderAssistantMessage(msg, index) {
-        if (state.viewMode === 'split' && msg.responses) {
-            return renderSplitView(msg, index);
+        if (state.viewMode === 'split') {
+            return `
+                <div class="loading-message live-turn">
+                    ${indicator}
+                    <div class="responses-grid cols-${Math.min(turn.models.length, 4)}">
+                        ${turn.models.map(model => turn.results[model]
+                            ? renderResponseCard(model, turn.results[model])
+                            : renderLiveCard(model)
+                        ).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="message assistant loading-message">
+                <div class="message-avatar">🤖</div>
+                <div class="message-content">
+                    ${indicator}
+                    ${turn.models.length ? `<div class="model-progress-list">${turn.models.map(renderProgressRow).join('')}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderLiveCard(model) {
+        const info = Synthesizer.models[model];
+        const content = state.liveTurn.contents[model];
+
+        return `
+            <div class="response-card live" data-model="${escapeHtml(model)}">
+                <div class="response-card-header ${escapeHtml(model)}" style="--model-color: ${info.color}">
+                    <span class="model-icon">${info.icon}</span>
+                    <span>${escapeHtml(info.name)}</span>
+                    <span class="model-progress-status">${escapeHtml(state.liveTurn.statuses[model] || 'Generating')}</span>
+                    <button class="model-stop-btn" onclick="stopModel(${jsArg(model)})" title="Stop ${escapeHtml(info.name)}">■</button>
+                </div>
+                <div class="response-card-body streaming-response" data-model="${escapeHtml(model)}">
+                    ${content ? marked.parse(content) : '<div class="loading-dots"><span></span><span></span><span></span></div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderProgressRow(model) {
+        const info = Synthesizer.models[model];
+        const result = state.liveTurn.results[model];
+        let status = state.liveTurn.statuses[model] || 'Generating';
+        let stateClass = '';
+
+        if (result) {
+            status = result.stopped ? 'Stopped' : (result.success ? 'Done' : (result.unsupported ? 'Skipped' : 'Failed'));
+            stateClass = result.success ? 'done' : (result.unsupported ? 'skipped' : 'failed');
+        }
+
+        return `
+            <div class="model-progress ${stateClass}" data-model="${escapeHtml(model)}">
+                <span class="model-icon">${info.icon}</span>
+                <span>${escapeHtml(info.name)}</span>
+                <span class="model-progress-status">${escapeHtml(status)}</span>
+                <span class="model-progress-count">${formatProgressCount(model)}</span>
+                ${result ? '' : `<button class="model-stop-btn" onclick="stopModel(${jsArg(model)})" title="Stop ${escapeHtml(info.name)}">■</button>`}
+            </div>
+        `;
+    }
+
+    function formatProgressCount(model) {
+        const content = state.liveTurn.contents[model] || '';
+        const result = state.liveTurn.results[model];
+        const words = content.trim() ? content.trim().split(/\s+/).length : 0;
+        const parts = [];
+
+        if (words > 0) parts.push(`${words} words`);
+        if (result?.latency) parts.push(`${(result.latency / 1000).toFixed(1)}s`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Flip a model's pane to its final state as soon as it completes
+     */
+    function updateModelProgress(model, result) {
+        const turn = state.liveTurn;
+        if (!turn) return;
+
+        turn.results[model] = result;
+        if (result.content) turn.contents[model] = result.content;
+        pendingStreamModels.delete(model);
+
+        const pane = findByModel(elements.chatMessages, '.loading-message [data-model]', model);
+        if (!pane) return;
+
+        pane.outerHTML = state.viewMode === 'split'
+            ? renderResponseCard(model, result)
+            : renderProgressRow(model);
+    }
+
+    function setModelProgressStatus(model, text) {
+        if (state.liveTurn) state.liveTurn.statuses[model] = text;
+
+        const status = findByModel(elements.chatMessages, '.loading-message [data-model]', model)?.querySelector('.model-progress-status');
+        if (status) status.textContent = text;
+    }
+
+    function setLoadingText(text) {
+        if (state.liveTurn) state.liveTurn.text = text;
+
+        const loadingText = document.querySelector('.loading-message .loading-text');
+        if (loadingText) loadingText.textContent = text;
+    }
+
+    function hideLoadingIndicator() {
+        state.liveTurn = null;
+        pendingStreamModels.clear();
+
+        const loading = document.querySelector('.loading-message');
+        if (loading) loading.remove();
+    }
+
+    // Models with new streamed text waiting for the next frame
+    const pendingStreamModels = new Set();
+
+    function updateStreamingResponse(model, content) {
+        if (!state.liveTurn || state.liveTurn.results[model]) return;
+
+        state.liveTurn.contents[model] = content;
+        if (pendingStreamModels.size === 0) {
+            requestAnimationFrame(flushStreamingResponses);
+        }
+        pendingStreamModels.add(model);
+    }
+
+    /**
+     * Render streamed text at most once per frame, keeping the view pinned if it was at the bottom
+     */
+    function flushStreamingResponses() {
+        if (!state.liveTurn) return;
+
+        const container = elements.chatMessages;
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+
+        pendingStreamModels.forEach(model => {
+            const content = state.liveTurn.contents[model];
+            const streamingEl = findByModel(container, '.streaming-response', model);
+            if (streamingEl) {
+                streamingEl.innerHTML = marked.parse(content);
+            }
+
+            const count = findByModel(container, '.model-progress', model)?.querySelector('.model-progress-count');
+            if (count) count.textContent = formatProgressCount(model);
+        });
+        pendingStreamModels.clear();
+
+        if (atBottom) scrollToBottom();
+    }
+
+    // ===== JSON Mode =====
+    function toggleJsonMode() {
+        state.jsonMode = !state.jsonMode;
+        localStorage.setItem('json_mode', state.jsonMode);
+        updateJsonMode();
+        if (state.jsonMode) elements.schemaInput.focus();
+    }
+
+    function updateJsonMode() {
+        elements.jsonModeBtn.classList.toggle('active', state.jsonMode);
+        elements.schemaPanel.classList.toggle('hidden', !state.jsonMode);
+        updateSchemaStatus();
+    }
+
+    /**
+     * Parsed schema from the composer, or null if it isn't a JSON object
+     */
+    function readSchema() {
+        try {
+            const schema = JSON.parse(elements.schemaInput.value);
+            return schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function updateSchemaStatus() {
+        const text = elements.schemaInput.value.trim();
+        const valid = readSchema() !== null;
+        elements.schemaStatus.textContent = !text ? '' : (valid ? '✓ Valid schema' : '✗ Not valid JSON');
+        elements.schemaStatus.classList.toggle('invalid', !!text && !valid);
+    }
+
+    // ===== Debate Mode =====
+    function toggleDebateMode() {
+        state.debateMode = !state.debateMode;
+        localStorage.setItem('debate_mode', state.debateMode);
+        updateDebateMode();
+    }
+
+    function updateDebateMode() {
+        elements.debateModeBtn.classList.toggle('active', state.debateMode);
+        elements.debatePanel.classList.toggle('hidden', !state.debateMode);
+    }
+
+    function toggleArenaMode() {
+        state.arenaMode = !state.arenaMode;
+        localStorage.setItem('arena_mode', state.arenaMode);
+        elements.arenaModeBtn.classList.toggle('active', state.arenaMode);
+        showToast(state.arenaMode ? 'Arena mode: answers are anonymous until you vote' : 'Arena mode off', 'info');
+    }
+
+    /**
+     * Rounds per debate, the first answers included
+     */
+    function getDebateRounds() {
+        const rounds = Math.round(Number(elements.debateRounds.value));
+        return Number.isFinite(rounds) ? Math.min(Math.max(rounds, 2), 5) : 2;
+    }
+
+    // ===== Attachments =====
+    async function addAttachments(files) {
+        for (const file of files) {
+            try {
+                state.pendingAttachments.push(await Attachments.read(file));
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        }
+        renderAttachmentList();
+    }
+
+    function renderAttachmentList() {
+        elements.attachmentList.innerHTML = state.pendingAttachments.map((attachment, i) => `
+            <div class="attachment-chip">
+                ${renderAttachmentPreview(attachment)}
+                <button class="attachment-remove" data-index="${i}" title="Remove">×</button>
+            </div>
+        `).join('');
+
+        // Point out selected models that will sit this turn out
+        const kinds = [...new Set(state.pendingAttachments.map(a => a.kind))];
+        const unable = Synthesizer.getActiveModels(state.selectedModels)
+            .filter(model => kinds.some(kind => !Synthesizer.models[model].accepts.includes(kind)));
+        if (unable.length > 0) {
+            elements.attachmentList.insertAdjacentHTML('beforeend', `
+                <span class="attachment-warning">
+                    ${unable.map(model => Synthesizer.models[model].name).join(', ')} will be skipped for this message
+                </span>
+            `);
+        }
+
+        updateContextMeter();
+    }
+
+    function renderAttachmentPreview(attachment) {
+        if (attachment.kind === 'image' && attachment.data) {
+            return `<img src="${Attachments.toDataUrl(attachment)}" alt="${escapeHtml(attachment.name)}" title="${escapeHtml(attachment.name)}">`;
+        }
+        const icon = attachment.kind === 'pdf' ? '📕' : (attachment.kind === 'image' ? '🖼️' : '📄');
+        return `<span class="attachment-name" title="${escapeHtml(attachment.name)}">${icon} ${escapeHtml(attachment.name)}</span>`;
+    }
+
+    function renderAttachmentChips(attachments) {
+        if (!attachments?.length) return '';
+
+        return `
+            <div class="message-attachments">
+                ${attachments.map(attachment => `<div class="attachment-chip">${renderAttachmentPreview(attachment)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    // ===== Message Rendering =====
+    function renderMessages() {
+        if (state.messages.length === 0) {
+            elements.welcomeScreen.style.display = 'flex';
+            elements.chatMessages.innerHTML = '';
+            elements.chatMessages.appendChild(elements.welcomeScreen);
+            updateUsageSummary();
+            updateBudgetState();
+            return;
+        }
+
+        elements.welcomeScreen.style.display = 'none';
+
+        const html = state.messages.map((msg, index) => {
+            if (msg.role === 'user') {
+                return renderUserMessage(msg, index);
+            } else {
+                return renderAssistantMessage(msg, index);
+            }
+        }).join('');
+
+        elements.chatMessages.innerHTML = html + (state.liveTurn ? renderLiveTurn() : '');
+        updateUsageSummary();
+        updateBudgetState();
+        updateContextMeter();
+    }
+
+    function renderUserMessage(msg, index) {
+        if (state.editingIndex === index) {
+            return `
+                <div class="message user">
+                    <div class="message-avatar">👤</div>
+                    <div class="message-content">
+                        ${renderAttachmentChips(msg.attachments)}
+                        <textarea class="message-edit" id="messageEdit" rows="3">${escapeHtml(msg.content || '')}</textarea>
+                        <div class="message-branch-actions">
+                            <button class="btn btn-secondary" onclick="cancelEdit()">Cancel</button>
+                            <button class="btn btn-primary" onclick="submitEdit(${index})">Send as New Branch</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="message user">
+                <div class="message-avatar">👤</div>
+                <div class="message-content">
+                    ${renderAttachmentChips(msg.attachments)}
+                    ${msg.content ? `
+                        <div class="message-bubble">
+                            ${escapeHtml(msg.content)}
+                        </div>
+                    ` : ''}
+                    <div class="message-branch-actions">
+                        ${renderBranchSwitcher(index)}
+                        <button class="action-btn edit-btn" onclick="editMessage(${index})" title="Edit and resend as a new branch">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M12 20h9"></path>
+                                <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                            </svg>
+                            Edit
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Arrows between the versions of a message, shown once it has been edited
+     */
+    function renderBranchSwitcher(index) {
+        const { index: position, count } = ChatTree.siblings(state.tree, state.path[index]);
+        if (count < 2) return '';
+
+        return `
+            <span class="branch-switcher">
+                <button class="action-btn" onclick="switchBranch(${index}, -1)" title="Previous version" ${position === 0 ? 'disabled' : ''}>‹</button>
+                <span>${position + 1} / ${count}</span>
+                <button class="action-btn" onclick="switchBranch(${index}, 1)" title="Next version" ${position === count - 1 ? 'disabled' : ''}>›</button>
+            </span>
+        `;
+    }
+
+    function renderAssistantMessage(msg, index) {
+        if (msg.pipelineSteps) {
+            return renderPipelineTurn(msg, index);
+        }
+        if (msg.arena) {
+            return renderArenaTurn(msg, index);
+        }
+        if (state.viewMode === 'split' && msg.responses) {
+            return renderSplitView(msg, index);
         }
         return renderUnifiedView(msg, index);
     }
@@ -511,11 +1767,16 @@
         const synthesized = msg.synthesized || {};
         const modelCount = synthesized.modelCount || 1;
         const disagreements = synthesized.disagreements || [];
+        const merged = synthesized.strategy === 'merged';
+        const chosen = msg.continuedWith && msg.responses?.[msg.continuedWith];
 
         return `
             <div class="message assistant">
-                <div class="message-avatar">${synthesized.primaryIcon || '🤖'}</div>
+                <div class="message-avatar">${chosen ? chosen.icon : (merged ? synthesized.mergedByIcon : synthesized.primaryIcon) || '🤖'}</div>
                 <div class="message-content">
+                    ${chosen ? renderChosenMeta(chosen) : renderSynthesisMeta(synthesized)}
+                    ${msg.debateRounds?.length ? `<div class="synthesis-meta">After ${msg.debateRounds.length + 1} rounds of debate</div>` : ''}
+                    ${renderUnsupportedNote(msg.responses)}
                     <div class="message-bubble">
                         ${marked.parse(msg.content)}
                     </div>
@@ -534,6 +1795,17 @@
                                 </svg>
                                 Responses ${modelCount}
                             </button>
+                            ${renderAgreementHeatmap(synthesized.agreement)}
+                        ` : ''}
+                        ${Object.values(msg.responses || {}).some(r => r.validation) ? `
+                            <button class="action-btn" onclick="showComparison(${index})">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+                                    <line x1="3" y1="9" x2="21" y2="9"></line>
+                                    <line x1="9" y1="3" x2="9" y2="21"></line>
+                                </svg>
+                                Compare Fields
+                            </button>
                         ` : ''}
                         ${disagreements.length > 0 ? `
                             <button class="action-btn warning" onclick="showDisagreements(${index})">
@@ -545,12 +1817,516 @@
                                 See Disagreements
                             </button>
                         ` : ''}
+                        ${renderTurnUsage(msg)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * A pipeline's steps, open in split view, followed by its answer
+     */
+    function renderPipelineTurn(msg, index) {
+        const steps = msg.pipelineSteps;
+        const answered = [...steps].reverse().find(step => step.success && step.content);
+
+        return `
+            <div class="message assistant">
+                <div class="message-avatar">${answered?.icon || '⛓️'}</div>
+                <div class="message-content">
+                    <div class="synthesis-meta">
+                        Pipeline ${escapeHtml(msg.pipeline?.name || '')}:
+                        ${steps.map(step => `${step.icon} ${escapeHtml(step.label)}`).join(' → ')}
+                    </div>
+                    <details class="pipeline-steps" ${state.viewMode === 'split' ? 'open' : ''}>
+                        <summary>All ${steps.length} steps</summary>
+                        ${steps.map((step, i) => `
+                            <div class="turn-section-label">Step ${i + 1} · ${escapeHtml(step.label)}</div>
+                            ${renderResponseCard(step.model, step)}
+                        `).join('')}
+                    </details>
+                    <div class="message-bubble">
+                        ${marked.parse(msg.content)}
+                    </div>
+                    <div class="response-actions">
+                        <button class="action-btn" onclick="copyToClipboard(${index})">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                            </svg>
+                            Copy
+                        </button>
+                        ${renderTurnUsage(msg)}
                     </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Anonymized answers in shuffled order with vote buttons; names show once the vote is in
+     */
+    function renderArenaTurn(msg, index) {
+        const { order, vote } = msg.arena;
+        const winner = vote && vote.winner !== 'tie' ? msg.responses[vote.winner] : null;
+        const carried = vote?.winner === 'tie' ? msg.responses[msg.continuedWith] : null;
+
+        return `
+            <div class="arena-turn">
+                <div class="synthesis-meta">
+                    ${!vote ? '🏟️ Blind arena: vote for the best answer to see which model wrote it'
+                        : (winner ? `🏆 You voted for ${Arena.label(order.indexOf(vote.winner))}: ${winner.icon} ${escapeHtml(winner.modelName)}` : `🤝 You called it a tie. ${Arena.label(order.indexOf(msg.continuedWith))} (${carried.icon} ${escapeHtml(carried.modelName)}) carries the conversation on`)}
+                </div>
+                <div class="responses-grid cols-${Math.min(order.length, 4)}">
+                    ${order.map((model, i) => renderArenaCard(msg.responses[model], i, index, vote, msg.continuedWith)).join('')}
+                </div>
+                ${vote ? `
+                    <div class="arena-vote-bar">
+                        <span>${escapeHtml(Arena.categories[vote.category]?.label || vote.category)}</span>
+                        ${(vote.tags || []).map(tag => `<span class="arena-tag">${escapeHtml(tag)}</span>`).join('')}
+                        ${renderTurnUsage(msg)}
+                    </div>
+                ` : `
+                    <div class="arena-vote-bar">
+                        <select id="arena-category-${index}" title="Prompt category for the leaderboard">
+                            ${Object.entries(Arena.categories).map(([key, category]) => `
+                                <option value="${key}" ${key === msg.arena.category ? 'selected' : ''}>${category.label}</option>
+                            `).join('')}
+                        </select>
+                        <input type="text" id="arena-tags-${index}" placeholder="Tags, comma separated" autocomplete="off">
+                        <button class="action-btn" onclick="arenaVote(${index}, -1)">🤝 Tie</button>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    function renderArenaCard(response, position, index, vote, continuedWith) {
+        const label = Arena.label(position);
+        const won = vote?.winner === response.model;
+        const carried = vote?.winner === 'tie' && continuedWith === response.model;
+
+        return `
+            <div class="response-card${won ? ' arena-winner' : ''}">
+                <div class="response-card-header" ${vote ? `style="--model-color: ${response.color}"` : ''}>
+                    <span class="model-icon">${vote ? response.icon : '❔'}</span>
+                    <span>${label}${vote ? ` · ${escapeHtml(response.modelName)}` : ''}</span>
+                    ${won ? '<span class="response-badge chosen">Winner</span>' : ''}
+                    ${carried ? '<span class="response-badge chosen" title="This answer is the shared history">In history</span>' : ''}
+                    ${vote && response.latency ? `<span style="margin-left: auto; font-size: 0.75rem; opacity: 0.7">${response.latency}ms</span>` : ''}
+                </div>
+                <div class="response-card-body">
+                    ${response.validation ? renderJsonContent(response) : marked.parse(response.content || '')}
+                </div>
+                ${vote ? '' : `
+                    <div class="response-card-actions">
+                        <button class="action-btn" onclick="arenaVote(${index}, ${position})">👍 ${label} is best</button>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    // ===== Leaderboard =====
+    function renderLeaderboard() {
+        const votes = Arena.load();
+        const fillSelect = (select, options, allLabel) => {
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` + options
+                .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+                .join('');
+            select.value = options.some(([value]) => value === current) ? current : '';
+        };
+        fillSelect(elements.leaderboardCategory, Object.entries(Arena.categories).map(([key, c]) => [key, c.label]), 'All categories');
+        fillSelect(elements.leaderboardTag, Arena.tags(votes).map(tag => [tag, tag]), 'All tags');
+
+        const rows = Arena.ratings(votes, {
+            category: elements.leaderboardCategory.value,
+            tag: elements.leaderboardTag.value
+        });
+        if (rows.length === 0) {
+            elements.leaderboardTable.innerHTML = `<p class="empty-state">${votes.length ? 'No votes match these filters.' : 'No votes yet. Turn on arena mode in the composer and vote on a few answers.'}</p>`;
+            return;
+        }
+
+        elements.leaderboardTable.innerHTML = `
+            <table class="comparison-table leaderboard-table">
+                <thead>
+                    <tr><th>#</th><th>Model</th><th>Rating</th><th>Wins</th><th>Losses</th><th>Ties</th><th>Votes</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, i) => {
+                        const info = Synthesizer.models[row.model];
+                        return `
+                            <tr>
+                                <td>${i + 1}</td>
+                                <td>${info ? `${info.icon} ${escapeHtml(info.name)}` : escapeHtml(row.name)}</td>
+                                <td><strong>${row.rating}</strong></td>
+                                <td>${row.wins}</td>
+                                <td>${row.losses}</td>
+                                <td>${row.ties}</td>
+                                <td>${row.votes}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderChosenMeta(response) {
+        return `
+            <div class="synthesis-meta">
+                Continuing with ${response.icon} ${escapeHtml(response.modelName)}'s answer
+            </div>
+        `;
+    }
+
+    function renderSynthesisMeta(synthesized) {
+        if (synthesized.strategy === 'merged') {
+            return `
+                <div class="synthesis-meta">
+                    Merged by ${synthesized.mergedByIcon} ${escapeHtml(synthesized.mergedByName)}
+                    from ${synthesized.modelCount} responses
+                </div>
+            `;
+        }
+
+        if (synthesized.strategy === 'fastest' && synthesized.modelCount > 1) {
+            return `
+                <div class="synthesis-meta">
+                    Fastest response: ${synthesized.primaryIcon} ${escapeHtml(synthesized.primaryModelName)}
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    function renderAgreementHeatmap(agreement) {
+        if (!agreement) return '';
+
+        const modelInfo = (model) => Synthesizer.models[model] || { name: model, icon: '?' };
+        const cells = agreement.models.map((rowModel, i) => `
+            <span class="heatmap-label" title="${escapeHtml(modelInfo(rowModel).name)}">${modelInfo(rowModel).icon}</span>
+            ${agreement.matrix[i].map((value, j) => `
+                <span
+                    class="heatmap-cell${i === j ? ' diagonal' : ''}"
+                    style="--similarity: ${value}"
+                    title="${escapeHtml(modelInfo(rowModel).name)} ↔ ${escapeHtml(modelInfo(agreement.models[j]).name)}: ${Math.round(value * 100)}%"
+                ></span>
+            `).join('')}
+        `).join('');
+
+        const outlier = agreement.outlier ? modelInfo(agreement.outlier) : null;
+
+        return `
+            <div class="agreement-summary">
+                <div class="agreement-heatmap" style="grid-template-columns: repeat(${agreement.models.length + 1}, 16px)">
+                    <span></span>
+                    ${agreement.models.map(model => `<span class="heatmap-label">${modelInfo(model).icon}</span>`).join('')}
+                    ${cells}
+                </div>
+                <div class="agreement-score">
+                    <span>Consensus ${Math.round(agreement.consensus * 100)}%</span>
+                    ${outlier ? `<span class="agreement-outlier">Outlier: ${outlier.icon} ${escapeHtml(outlier.name)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderRetryBadge(response) {
+        const retries = response.retries || [];
+        if (retries.length === 0) return '';
+
+        const details = retries.map(r => `Attempt ${r.attempt + 1} after ${r.status}, waited ${r.delay}ms`).join('\n');
+        return `<span class="response-badge" title="${escapeHtml(details)}">↻ ${retries.length} ${retries.length === 1 ? 'retry' : 'retries'}</span>`;
+    }
+
+    function describeFallbackStep(step) {
+        const name = Synthesizer.models[step.model]?.name || step.model;
+        return step.variant ? `${name} (${step.variant})` : name;
+    }
+
+    function renderFallbackBadge(response) {
+        if (!response.answeredBy) return '';
+
+        const reasons = (response.skipped || [])
+            .map(step => `${describeFallbackStep(step)} skipped: ${step.reason}`)
+            .join('\n');
+        return `
+            <span class="response-badge fallback" title="${escapeHtml(reasons)}">
+                ↪ ${response.answeredBy.icon} ${escapeHtml(describeFallbackStep(response.answeredBy))}
+            </span>
+        `;
+    }
+
+    // ===== Context Window =====
+    /**
+     * Conversation in the connector format, with the system prompt first
+     * @param {Array} messages - Chat messages
+     * @param {string} model - Build this model's own thread instead of the shared history
+     */
+    function buildApiMessages(messages, model) {
+        const systemPrompt = localStorage.getItem('system_prompt');
+        return [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+            ...messages.map(m => ({
+                role: m.role,
+                content: model ? threadContent(m, model) : (m.arena && !m.arena.vote ? '(No answer has been chosen for this message yet.)' : m.content),
+                ...(m.attachments?.length ? { attachments: m.attachments } : {})
+            }))
+        ];
+    }
+
+    /**
+     * What a model said in a turn; a chosen answer replaces it for everyone
+     * A model whose own answer failed gets a placeholder rather than another model's answer as its own
+     */
+    function threadContent(msg, model) {
+        const own = msg.responses?.[model];
+        if (msg.role !== 'assistant' || msg.continuedWith || !own) return msg.content;
+        return own.success && own.content ? own.content : '(No answer was given to this message.)';
+    }
+
+    /**
+     * Summary of the turns that don't fit the smallest context window, reusing the last one when it still covers them
+     * @returns {Promise<Object|null>} - { count, text }
+     */
+    async function summarizeOlderTurns(apiMessages, models, requestOptions) {
+        const limit = Math.min(...models.map(model => {
+            const options = Synthesizer.resolveOptions(model, requestOptions);
+            return ContextWindow.inputLimit(ContextWindow.sizeFor(model, options), options);
+        }));
+        const count = ContextWindow.summaryCount(apiMessages, limit);
+        if (count === 0) return null;
+        if (state.contextSummary?.count === count) return state.contextSummary;
+
+        const summarizer = Synthesizer.getActiveModels([elements.synthesizerModel.value])[0] || models[0];
+        const previousText = state.liveTurn?.text;
+        setLoadingText(`${Synthesizer.models[summarizer].name} is summarizing earlier turns...`);
+        try {
+            const turns = apiMessages.filter(m => m.role !== 'system').slice(0, count);
+            const result = await Synthesizer.summarizeConversation(summarizer, turns, requestOptions);
+            Usage.record([{ model: result.answeredBy?.model || summarizer, usage: result.usage, cost: result.cost }]);
+            state.contextSummary = { count: count, text: result.content };
+            return state.contextSummary;
+        } catch (error) {
+            // Older turns are dropped instead
+            showToast(error.message, 'warning');
+            return null;
+        } finally {
+            setLoadingText(previousText);
+        }
+    }
+
+    function renderContextBadge(context) {
+        if (!context) return '';
+
+        const percent = Math.round(context.tokens / context.size * 100);
+        const notes = [
+            `~${Usage.formatTokens(context.tokens)} of ${Usage.formatTokens(context.size)} tokens`,
+            context.summarized ? `${context.summarized} earlier messages summarized` : '',
+            context.dropped ? `${context.dropped} earlier messages left out` : ''
+        ].filter(Boolean).join(' · ');
+        const trimmed = context.summarized || context.dropped;
+
+        return `<span class="response-badge context${trimmed ? ' trimmed' : ''}" title="${escapeHtml(notes)}">ctx ${percent}%</span>`;
+    }
+
+    /**
+     * Show how much of each selected model's context the chat plus the draft would use
+     */
+    function updateContextMeter() {
+        const models = Synthesizer.getActiveModels(state.selectedModels);
+        if (state.messages.length === 0 || models.length === 0) {
+            elements.contextMeter.innerHTML = '';
+            return;
+        }
+
+        const requestOptions = getRequestOptions();
+        const tokens = Usage.estimateTokens(buildApiMessages([
+            ...state.messages,
+            { role: 'user', content: elements.messageInput.value, attachments: state.pendingAttachments }
+        ]));
+
+        elements.contextMeter.innerHTML = models.map(model => {
+            const info = Synthesizer.models[model];
+            const options = Synthesizer.resolveOptions(model, requestOptions);
+            const size = ContextWindow.sizeFor(model, options);
+            const percent = Math.round(tokens / size * 100);
+            const full = tokens > ContextWindow.inputLimit(size, options);
+            return `
+                <span class="context-chip${full ? ' full' : ''}" style="--model-color: ${info.color}"
+                    title="${escapeHtml(`${info.name}: ~${Usage.formatTokens(tokens)} of ${Usage.formatTokens(size)} tokens${full ? ' · older turns will be trimmed' : ''}`)}">
+                    ${info.icon} ${percent}%
+                </span>
+            `;
+        }).join('');
+    }
+
+    // ===== Usage & Cost =====
+    function describeUsage(total) {
+        const tokens = Usage.formatTokens(total.inputTokens + total.outputTokens);
+        return `${tokens} tokens · ${total.priced === false && total.cost === 0 ? 'no price' : Usage.formatCost(total.cost)}`;
+    }
+
+    function renderUsageBadge(response) {
+        if (!response.usage) return '';
+
+        const { inputTokens, outputTokens } = response.usage;
+        const title = `${inputTokens} input + ${outputTokens} output tokens` +
+            (response.cost == null ? ` · no price for ${response.modelId || 'this model'}` : '');
+        return `
+            <span class="response-usage" title="${escapeHtml(title)}">
+                ${Usage.formatTokens(inputTokens + outputTokens)} tok · ${Usage.formatCost(response.cost)}
+            </span>
+        `;
+    }
+
+    /**
+     * Usage of one assistant turn, including the merge
+     */
+    function turnUsage(msg) {
+        return Usage.total(turnCalls(msg));
+    }
+
+    function chatUsage(messages) {
+        return Usage.total(spendingEntries(messages));
+    }
+
+    function renderTurnUsage(msg) {
+        const total = turnUsage(msg);
+        if (total.inputTokens + total.outputTokens === 0) return '';
+
+        const title = `${total.inputTokens} input + ${total.outputTokens} output tokens` +
+            (total.priced ? '' : ' · some models have no price');
+        return `<span class="turn-usage" title="${escapeHtml(title)}">This turn: ${describeUsage(total)}</span>`;
+    }
+
+    /**
+     * Usage of each call made for an assistant turn, including regenerated answers and earlier merges
+     */
+    function turnCalls(msg) {
+        const responses = [
+            ...(msg.debateRounds || []).flatMap(round => Object.values(round)),
+            ...(msg.pipelineSteps || []),
+            ...Object.entries(msg.responses || {})
+                .flatMap(([model, response]) => msg.responseVersions?.[model] || [response])
+                .filter(response => !response.carriedOver)
+        ];
+        const merges = [msg.synthesized, ...(msg.earlierMerges || [])].filter(merge => merge?.usage);
+
+        return [
+            ...responses.map(responseCall),
+            ...merges.map(merge => ({ model: merge.billedTo, usage: merge.usage, cost: merge.cost }))
+        ];
+    }
+
+    /**
+     * A response's usage, billed to the provider that answered
+     */
+    function responseCall(response) {
+        return { model: response.answeredBy?.model || response.model, usage: response.usage, cost: response.cost };
+    }
+
+    function spendingEntries(messages) {
+        return messages.filter(m => m.role === 'assistant').flatMap(turnCalls);
+    }
+
+    function recordUsage(message) {
+        Usage.record(spendingEntries([message]));
+    }
+
+    function updateUsageSummary() {
+        const chat = chatUsage(ChatTree.allMessages(state.tree));
+        const total = Usage.ledgerTotal();
+
+        elements.usageSummary.innerHTML = `
+            <div><span>This chat</span><strong>${Usage.formatCost(chat.cost)}</strong></div>
+            <div><span>All time</span><strong>${Usage.formatCost(total.cost)}</strong></div>
+        `;
+        elements.usageSummary.title = `This chat: ${describeUsage(chat)}\nAll time: ${describeUsage(total)}`;
+    }
+
+    function renderValidationBadge(validation) {
+        if (!validation) return '';
+
+        if (validation.valid) {
+            return '<span class="response-badge valid" title="Matches the schema">✓ Valid JSON</span>';
+        }
+        const details = validation.errors.map(e => `${e.path} ${e.message}`).join('\n');
+        return `<span class="response-badge invalid" title="${escapeHtml(details)}">✗ Invalid JSON</span>`;
+    }
+
+    function renderJsonContent(response) {
+        const { value, errors } = response.validation;
+        const body = value !== undefined
+            ? `<pre><code>${escapeHtml(JSON.stringify(value, null, 2))}</code></pre>`
+            : marked.parse(response.content || 'No response');
+
+        return `
+            ${body}
+            ${errors.length ? `
+                <ul class="validation-errors">
+                    ${errors.map(e => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    function renderToolCalls(toolCalls) {
+        if (!toolCalls?.length) return '';
+
+        return `
+            <div class="tool-calls">
+                ${toolCalls.map(call => `
+                    <details class="tool-call ${call.error ? 'error' : ''}">
+                        <summary>
+                            🔧 <code>${escapeHtml(call.name)}(${escapeHtml(formatToolArguments(call.arguments))})</code>
+                            <span class="tool-call-round">round ${call.round}</span>
+                        </summary>
+                        <pre>${escapeHtml(formatToolOutput(call.output))}</pre>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function formatToolArguments(args = {}) {
+        return Object.entries(args).map(([name, value]) => `${name}: ${JSON.stringify(value)}`).join(', ');
+    }
+
+    function formatToolOutput(output) {
+        try {
+            return JSON.stringify(JSON.parse(output), null, 2);
+        } catch (e) {
+            return output;
+        }
+    }
+
+    function renderUnsupportedNote(responses = {}) {
+        const skipped = Object.values(responses).filter(r => r.unsupported);
+        if (skipped.length === 0) return '';
+
+        return `
+            <div class="synthesis-meta skipped-note">
+                ⏭ Skipped this turn: ${skipped.map(r => `${r.icon} ${escapeHtml(r.error)}`).join(' · ')}
+            </div>
+        `;
+    }
+
+    function renderSkippedList(response) {
+        if (!response.skipped || response.skipped.length < 2) return '';
+
+        return `
+            <ul class="skipped-list">
+                ${response.skipped.map(step => `<li>${escapeHtml(describeFallbackStep(step))}: ${escapeHtml(step.reason || 'failed')}</li>`).join('')}
+            </ul>
+        `;
+    }
+
     function renderSplitView(msg, index) {
         const responses = msg.responses || {};
         const activeResponses = Object.entries(responses).filter(([_, r]) => r.success);
@@ -560,40 +2336,349 @@
             <div class="message user" style="margin-bottom: 16px;">
                 <div class="message-avatar">👤</div>
                 <div class="message-content">
+                    ${renderAttachmentChips(state.messages[index - 1]?.attachments)}
                     <div class="message-bubble">
                         ${escapeHtml(state.messages[index - 1]?.content || '')}
                     </div>
                 </div>
-            </div>
-            <div class="responses-grid cols-${cols}">
-                ${activeResponses.map(([model, response]) => `
-                    <div class="response-card">
-                        <div class="response-card-header ${model}">
-                            <span class="model-icon">${response.icon}</span>
-                            <span>${response.modelName}</span>
-                            ${response.latency ? `<span style="margin-left: auto; font-size: 0.75rem; opacity: 0.7">${response.latency}ms</span>` : ''}
-                        </div>
-                        <div class="response-card-body">
-                            ${marked.parse(response.content || 'No response')}
-                        </div>
-                    </div>
-                `).join('')}
-                ${Object.entries(responses).filter(([_, r]) => !r.success).map(([model, response]) => `
-                    <div class="response-card">
-                        <div class="response-card-header ${model}">
-                            <span class="model-icon">${response.icon}</span>
-                            <span>${response.modelName}</span>
-                        </div>
-                        <div class="response-card-body" style="color: var(--error)">
-                            ⚠️ ${response.error || 'Failed to respond'}
-                        </div>
-                    </div>
-                `).join('')}
+            </div>
+            ${(msg.debateRounds || []).map((round, i) => `
+                <div class="turn-section-label">Round ${i + 1}</div>
+                <div class="responses-grid cols-${Math.min(Object.keys(round).length, 4)}">
+                    ${Object.entries(round).map(([model, response]) => renderResponseCard(model, response)).join('')}
+                </div>
+            `).join('')}
+            ${msg.debateRounds?.length ? `<div class="turn-section-label">Round ${msg.debateRounds.length + 1} · final</div>` : ''}
+            <div class="responses-grid cols-${cols}">
+                ${activeResponses.map(([model, response]) => renderResponseCard(model, response, index)).join('')}
+                ${Object.entries(responses).filter(([_, r]) => !r.success).map(([model, response]) => renderResponseCard(model, response, index)).join('')}
+            </div>
+            <div class="split-turn-usage">${renderTurnUsage(msg)}</div>
+        `;
+    }
+
+    /**
+     * @param {number} index - Message index; omitted for the turn in progress
+     */
+    function renderResponseCard(model, response, index) {
+        if (index !== undefined && state.regenerating?.index === index && state.regenerating.model === model) {
+            return renderRegeneratingCard(model);
+        }
+
+        if (response.unsupported) {
+            return `
+                <div class="response-card skipped" data-model="${escapeHtml(model)}">
+                    <div class="response-card-header ${escapeHtml(model)}" style="--model-color: ${response.color}">
+                        <span class="model-icon">${response.icon}</span>
+                        <span>${escapeHtml(response.modelName)}</span>
+                        <span class="response-badge">Skipped</span>
+                    </div>
+                    <div class="response-card-body">
+                        ⏭ Skipped this turn: ${escapeHtml(response.error)}
+                        ${renderSkippedList(response)}
+                    </div>
+                </div>
+            `;
+        }
+
+        if (!response.success) {
+            return `
+                <div class="response-card" data-model="${escapeHtml(model)}">
+                    <div class="response-card-header ${escapeHtml(model)}" style="--model-color: ${response.color}">
+                        <span class="model-icon">${response.icon}</span>
+                        <span>${escapeHtml(response.modelName)}</span>
+                        ${renderRetryBadge(response)}
+                    </div>
+                    <div class="response-card-body" style="color: var(--error)">
+                        ⚠️ ${escapeHtml(response.error || 'Failed to respond')}
+                        ${renderSkippedList(response)}
+                        ${renderToolCalls(response.toolCalls)}
+                    </div>
+                    ${renderCardActions(model, response, index)}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="response-card" data-model="${escapeHtml(model)}">
+                <div class="response-card-header ${escapeHtml(model)}" style="--model-color: ${response.color}">
+                    <span class="model-icon">${response.icon}</span>
+                    <span>${escapeHtml(response.modelName)}</span>
+                    ${response.stopped ? '<span class="response-badge stopped">Stopped</span>' : ''}
+                    ${renderRetryBadge(response)}
+                    ${renderFallbackBadge(response)}
+                    ${renderValidationBadge(response.validation)}
+                    ${renderContextBadge(response.context)}
+                    ${index !== undefined && state.messages[index]?.continuedWith === model ? '<span class="response-badge chosen" title="This answer is the shared history">In history</span>' : ''}
+                    ${response.latency ? `<span style="margin-left: auto; font-size: 0.75rem; opacity: 0.7">${response.latency}ms</span>` : ''}
+                    ${renderUsageBadge(response)}
+                </div>
+                <div class="response-card-body">
+                    ${response.answeredBy ? `<div class="fallback-note">${escapeHtml(response.modelName)} was skipped: ${escapeHtml(response.skipped?.[0]?.reason || 'failed')}</div>` : ''}
+                    ${renderToolCalls(response.toolCalls)}
+                    ${response.validation ? renderJsonContent(response) : marked.parse(response.content || 'No response')}
+                </div>
+                ${renderCardActions(model, response, index)}
+            </div>
+        `;
+    }
+
+    /**
+     * Regenerate, earlier attempts and continue buttons under a saved card
+     */
+    function renderCardActions(model, response, index) {
+        if (index === undefined) return '';
+
+        const msg = state.messages[index];
+        const versions = msg.responseVersions?.[model] || [];
+        const selected = msg.selectedVersions?.[model] ?? versions.length - 1;
+
+        return `
+            <div class="response-card-actions">
+                ${versions.length > 1 ? `
+                    <span class="branch-switcher">
+                        <button class="action-btn" onclick="selectVersion(${index}, ${jsArg(model)}, -1)" title="Earlier attempt" ${selected === 0 ? 'disabled' : ''}>‹</button>
+                        <span>${selected + 1} / ${versions.length}</span>
+                        <button class="action-btn" onclick="selectVersion(${index}, ${jsArg(model)}, 1)" title="Later attempt" ${selected === versions.length - 1 ? 'disabled' : ''}>›</button>
+                    </span>
+                ` : ''}
+                <button class="action-btn" onclick="regenerateResponse(${index}, ${jsArg(model)})" title="Ask only ${escapeHtml(response.modelName)} again">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="23 4 23 10 17 10"></polyline>
+                        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                    </svg>
+                    Regenerate
+                </button>
+                ${response.success && msg.continuedWith !== model ? `
+                    <button class="action-btn" onclick="continueWith(${index}, ${jsArg(model)})" title="Use this answer as the conversation history">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="9 18 15 12 9 6"></polyline>
+                        </svg>
+                        Continue with this answer
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    function renderRegeneratingCard(model) {
+        const info = Synthesizer.models[model];
+
+        return `
+            <div class="response-card live" data-model="${escapeHtml(model)}">
+                <div class="response-card-header ${escapeHtml(model)}" style="--model-color: ${info.color}">
+                    <span class="model-icon">${info.icon}</span>
+                    <span>${escapeHtml(info.name)}</span>
+                    <span class="model-progress-status">${escapeHtml(state.regenerating.status)}</span>
+                    <button class="model-stop-btn" onclick="stopModel(${jsArg(model)})" title="Stop ${escapeHtml(info.name)}">■</button>
+                </div>
+                <div class="response-card-body regenerating-response">
+                    ${state.regenerating.content ? marked.parse(state.regenerating.content) : '<div class="loading-dots"><span></span><span></span><span></span></div>'}
+                </div>
             </div>
         `;
     }
 
+    function updateRegeneratingCard(changes) {
+        Object.assign(state.regenerating, changes);
+
+        const card = elements.chatMessages.querySelector('.regenerating-response')?.closest('.response-card');
+        if (card) card.outerHTML = renderRegeneratingCard(state.regenerating.model);
+    }
+
+    /**
+     * Merge a turn's responses again after one of them changed
+     */
+    async function resynthesize(msg, apiMessages, requestOptions) {
+        const previous = msg.synthesized;
+        const synthesized = await Synthesizer.mergeResponses(
+            msg.responses,
+            apiMessages,
+            elements.synthesizerModel.value,
+            requestOptions
+        );
+
+        if (synthesized.mergeError) {
+            showToast(synthesized.mergeError, 'warning');
+        }
+        if (synthesized.usage) {
+            Usage.record([{ model: synthesized.billedTo, usage: synthesized.usage, cost: synthesized.cost }]);
+        }
+        // The replaced merge was still paid for
+        if (previous?.usage) {
+            msg.earlierMerges = [...(msg.earlierMerges || []), { billedTo: previous.billedTo, usage: previous.usage, cost: previous.cost }];
+        }
+
+        msg.synthesized = synthesized;
+        const chosen = msg.continuedWith && msg.responses[msg.continuedWith];
+        msg.content = chosen?.success ? chosen.content : synthesized.content;
+    }
+
+    /**
+     * Rerun one model for a saved turn, or switch to another of its attempts, then merge again
+     * @param {number} index - Assistant message index
+     * @param {string} model - Model key
+     * @param {Function} run - (requestOptions, apiMessages) => Promise, updates msg.responses[model]; resolves false to change nothing
+     */
+    async function updateTurnResponse(index, model, run) {
+        const msg = state.messages[index];
+        const apiMessages = buildApiMessages(state.messages.slice(0, index));
+        const requestOptions = getRequestOptions();
+        if (msg.schema) {
+            requestOptions.responseFormat = { name: 'response', schema: msg.schema };
+        }
+
+        state.regenerating = { index: index, model: model, status: 'Generating', content: '' };
+        setLoading(true);
+        state.turnCancelled = false;
+        renderMessages();
+
+        try {
+            // Stopped before the model was asked: the turn stays as it was
+            if (await run(requestOptions, apiMessages) === false) return;
+            updateRegeneratingCard({ status: 'Merging responses', content: msg.responses[model].content || '' });
+            await resynthesize(msg, apiMessages, requestOptions);
+        } catch (error) {
+            showToast(error.message, 'error');
+        } finally {
+            state.regenerating = null;
+            setLoading(false);
+            saveChatHistory();
+            renderMessages();
+        }
+    }
+
     // ===== Global Functions =====
+    window.stopModel = function (model) {
+        if (Synthesizer.abort(model)) {
+            setModelProgressStatus(model, 'Stopping...');
+        }
+    };
+
+    window.editMessage = function (index) {
+        if (state.isLoading) return;
+        state.editingIndex = index;
+        renderMessages();
+
+        const input = document.getElementById('messageEdit');
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    };
+
+    window.cancelEdit = function () {
+        state.editingIndex = null;
+        renderMessages();
+    };
+
+    window.submitEdit = function (index) {
+        const msg = state.messages[index];
+        sendMessage({
+            index: index,
+            content: document.getElementById('messageEdit').value.trim(),
+            attachments: msg.attachments || []
+        });
+    };
+
+    window.switchBranch = function (index, offset) {
+        if (state.isLoading || !ChatTree.switchSibling(state.tree, state.path[index], offset)) return;
+
+        syncMessages();
+        state.editingIndex = null;
+        // The summary covers the branch it was made on
+        state.contextSummary = null;
+        saveChatHistory();
+        renderMessages();
+    };
+
+    window.regenerateResponse = function (index, model) {
+        if (state.isLoading) return;
+
+        const reason = Synthesizer.inactiveReason(model);
+        if (reason) {
+            showToast(`${Synthesizer.models[model]?.name || model} can't answer: ${reason}`, 'warning');
+            return;
+        }
+
+        updateTurnResponse(index, model, async (requestOptions, apiMessages) => {
+            const msg = state.messages[index];
+            const history = state.messages.slice(0, index);
+            const base = elements.separateThreads.checked ? buildApiMessages(history, model) : apiMessages;
+            // A final debate answer is redone against the round before it
+            const previous = msg.debateRounds?.[msg.debateRounds.length - 1];
+            const thread = previous ? Synthesizer.buildDebateMessages(base, model, previous, requestOptions) : base;
+
+            if (requestOptions.contextStrategy === 'summarize') {
+                requestOptions.contextSummary = await summarizeOlderTurns(apiMessages, [model], requestOptions);
+                if (state.turnCancelled) return false;
+            }
+
+            const result = elements.streamResponses.checked
+                ? await Synthesizer.streamModel(model, thread, (_, chunk, full) => updateRegeneratingCard({ content: full }), requestOptions)
+                : await Synthesizer.queryModel(model, thread, requestOptions);
+            Usage.record([responseCall(result)]);
+
+            // Earlier attempts stay selectable
+            const versions = [...(msg.responseVersions?.[model] || [msg.responses[model]]), result];
+            msg.responseVersions = { ...msg.responseVersions, [model]: versions };
+            msg.selectedVersions = { ...msg.selectedVersions, [model]: versions.length - 1 };
+            msg.responses[model] = result;
+        });
+    };
+
+    window.selectVersion = function (index, model, offset) {
+        const msg = state.messages[index];
+        const versions = msg?.responseVersions?.[model] || [];
+        const selected = (msg?.selectedVersions?.[model] ?? versions.length - 1) + offset;
+        if (state.isLoading || selected < 0 || selected >= versions.length) return;
+
+        updateTurnResponse(index, model, async () => {
+            msg.selectedVersions = { ...msg.selectedVersions, [model]: selected };
+            msg.responses[model] = versions[selected];
+        });
+    };
+
+    window.arenaVote = function (index, position) {
+        const msg = state.messages[index];
+        if (!msg?.arena || msg.arena.vote) return;
+
+        const order = msg.arena.order;
+        const winner = position < 0 ? 'tie' : order[position];
+        const category = document.getElementById(`arena-category-${index}`).value;
+        const tags = [...new Set(document.getElementById(`arena-tags-${index}`).value
+            .split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+        Arena.record({
+            models: order,
+            names: Object.fromEntries(order.map(model => [model, msg.responses[model].modelName])),
+            winner: winner,
+            category: category,
+            tags: tags
+        });
+        msg.arena.vote = { winner: winner, category: category, tags: tags };
+        // The winning answer carries the conversation on; after a tie, the first answer shown does
+        const carried = winner === 'tie' ? order[0] : winner;
+        msg.content = msg.responses[carried].content;
+        msg.continuedWith = carried;
+
+        saveChatHistory();
+        renderMessages();
+        showToast(winner === 'tie'
+            ? `Vote saved: tie. ${msg.responses[carried].modelName}'s answer carries the conversation on`
+            : `Vote saved: ${msg.responses[winner].modelName} wins`, 'success');
+    };
+
+    window.continueWith = function (index, model) {
+        const msg = state.messages[index];
+        const response = msg?.responses?.[model];
+        if (!response?.success) return;
+
+        msg.content = response.content;
+        msg.continuedWith = model;
+        saveChatHistory();
+        renderMessages();
+        showToast(`Continuing with ${response.modelName}'s answer`, 'success');
+    };
+
     window.copyToClipboard = async function (index) {
         const msg = state.messages[index];
         if (msg) {
@@ -622,30 +2707,124 @@
         }
     };
 
+    window.showComparison = function (index) {
+        const msg = state.messages[index];
+        if (msg?.responses) {
+            renderComparison(msg.responses);
+            openModal('comparison');
+        }
+    };
+
+    function renderComparison(responses) {
+        const { models, rows } = SchemaValidator.compare(responses);
+        const unparsed = Object.values(responses).filter(r => r.validation && r.validation.value === undefined);
+
+        if (models.length === 0) {
+            elements.comparisonTable.innerHTML = '<p class="settings-description">No model returned parseable JSON.</p>';
+            return;
+        }
+
+        const formatValue = (value) => {
+            if (value === undefined) return '<span class="comparison-missing">—</span>';
+            return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+        };
+
+        const differing = rows.filter(row => !row.agree).length;
+
+        elements.comparisonTable.innerHTML = `
+            <p class="disagreements-summary">
+                ${rows.length} fields, ${differing} with differing values
+                ${unparsed.length ? ` · no JSON from ${unparsed.map(r => escapeHtml(r.modelName)).join(', ')}` : ''}
+            </p>
+            <div class="comparison-table-wrapper">
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        ${models.map(model => `<th>${responses[model].icon} ${escapeHtml(responses[model].modelName)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="comparison-validity">
+                        <td>Schema</td>
+                        ${models.map(model => `<td>${renderValidationBadge(responses[model].validation)}</td>`).join('')}
+                    </tr>
+                    ${rows.map(row => `
+                        <tr class="${row.agree ? '' : 'differs'}">
+                            <td><code>${escapeHtml(row.path.replace(/^\$\.?/, '') || '(root)')}</code></td>
+                            ${models.map(model => `
+                                <td class="${row.errors[model] ? 'invalid' : ''}" title="${escapeHtml(row.errors[model] || '')}">
+                                    ${formatValue(row.values[model])}
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            </div>
+        `;
+    }
+
     window.showDisagreements = function (index) {
         const msg = state.messages[index];
         if (msg && msg.synthesized?.disagreements?.length > 0) {
-            const disagreements = msg.synthesized.disagreements;
-            const content = disagreements.map(d => {
-                const stanceList = Object.entries(d.stances)
-                    .map(([model, stance]) => `• ${Synthesizer.models[model]?.name || model}: ${stance}`)
-                    .join('\n');
-                return `**Topic: "${d.topic}"**\n${stanceList}`;
-            }).join('\n\n');
-
-            showToast('Disagreements found on: ' + disagreements.map(d => d.topic).join(', '), 'warning');
+            renderDisagreements(msg.synthesized);
+            openModal('disagreements');
         } else {
             showToast('No significant disagreements detected', 'info');
         }
     };
 
+    function renderDisagreements(synthesized) {
+        const modelLabel = (model) => {
+            const info = Synthesizer.models[model];
+            return info ? `${info.icon} ${escapeHtml(info.name)}` : escapeHtml(model);
+        };
+
+        const summary = synthesized.claimSummary;
+        const summaryHtml = summary ? `
+            <p class="settings-description">
+                ${summary.agreements} agreeing claim pairs, ${summary.contradictions} conflicting claim pairs
+            </p>
+        ` : '';
+
+        const conflictsHtml = synthesized.disagreements.map(d => `
+            <div class="disagreement-item">
+                <div class="disagreement-topic">
+                    ${escapeHtml(d.topic || 'Conflicting claim')}
+                    ${d.reason ? `<span class="disagreement-reason">${escapeHtml(d.reason)}</span>` : ''}
+                </div>
+                <div class="disagreement-claims">
+                    ${d.models.map(model => `
+                        <div class="disagreement-claim">
+                            <div class="disagreement-model">${modelLabel(model)}</div>
+                            <div>${escapeHtml(d.claims[model])}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        const uniqueHtml = summary ? Object.entries(summary.unique)
+            .filter(([_, claims]) => claims.length > 0)
+            .map(([model, claims]) => `
+                <details class="unique-claims">
+                    <summary>${modelLabel(model)} — ${claims.length} claims only this model made</summary>
+                    <ul>${claims.map(claim => `<li>${escapeHtml(claim)}</li>`).join('')}</ul>
+                </details>
+            `).join('') : '';
+
+        elements.disagreementsList.innerHTML = summaryHtml + conflictsHtml + uniqueHtml;
+    }
+
     // ===== Export =====
     function exportJson() {
         const data = {
             chatId: state.currentChatId,
             title: getChatTitle(),
             exportedAt: new Date().toISOString(),
-            messages: state.messages
+            messages: state.messages,
+            tree: state.tree
         };
 
         downloadFile(
@@ -658,6 +2837,40 @@
         showToast('Chat exported as JSON', 'success');
     }
 
+    /**
+     * Open a chat from a JSON export, keeping all of its branches
+     */
+    async function importJson(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('The file is not valid JSON', 'error');
+            return;
+        }
+
+        const tree = ChatTree.isTree(data.tree)
+            ? data.tree
+            : (Array.isArray(data.messages) ? ChatTree.fromMessages(data.messages) : null);
+        if (!tree || !ChatTree.isTree(tree)) {
+            showToast('The file is not an exported chat', 'error');
+            return;
+        }
+
+        saveChatHistory();
+        const taken = !data.chatId || state.chatHistory.some(chat => chat.id === data.chatId);
+        state.currentChatId = taken ? generateId() : data.chatId;
+        state.tree = tree;
+        syncMessages();
+        state.editingIndex = null;
+        state.contextSummary = null;
+        elements.chatTitle.textContent = getChatTitle();
+        saveChatHistory();
+        renderMessages();
+        closeModal('history');
+        showToast('Chat imported', 'success');
+    }
+
     function exportMarkdown() {
         let md = `# ${getChatTitle()}\n\n`;
         md += `*Exported on ${new Date().toLocaleString()}*\n\n---\n\n`;
@@ -665,8 +2878,15 @@
         state.messages.forEach(msg => {
             if (msg.role === 'user') {
                 md += `## 👤 You\n\n${msg.content}\n\n`;
+                if (msg.attachments?.length) {
+                    md += `*Attached: ${msg.attachments.map(a => a.name).join(', ')}*\n\n`;
+                }
             } else {
-                md += `## 🤖 AI Response\n\n${msg.content}\n\n`;
+                md += `## 🤖 AI Response\n\n`;
+                if (msg.synthesized?.strategy === 'merged') {
+                    md += `*Merged by ${msg.synthesized.mergedByName}*\n\n`;
+                }
+                md += `${msg.arena && !msg.arena.vote ? '*Arena turn, no answer voted for yet*' : msg.content}\n\n`;
 
                 if (msg.responses) {
                     md += `<details>\n<summary>Individual Model Responses</summary>\n\n`;
@@ -701,30 +2921,277 @@
         URL.revokeObjectURL(url);
     }
 
-    // ===== Modal Management =====
-    function openModal(type) {
-        const modalMap = {
-            settings: elements.settingsModal,
-            history: elements.historyModal,
-            export: elements.exportModal
+    // ===== Prompt Library =====
+    function renderSuggestionCards() {
+        const templates = PromptLibrary.load().slice(0, 4);
+        elements.suggestionCards.innerHTML = templates.map(template => `
+            <button class="suggestion-card" data-id="${escapeHtml(template.id)}" title="${escapeHtml(template.text)}">
+                <span class="suggestion-icon">${escapeHtml(template.icon || '📝')}</span>
+                <span>${escapeHtml(template.name)}</span>
+            </button>
+        `).join('');
+    }
+
+    function renderPromptLibrary() {
+        const templates = PromptLibrary.load();
+        const template = templates.find(t => t.id === state.promptView.id);
+        elements.promptToolbar.classList.toggle('hidden', state.promptView.mode !== 'list');
+
+        if (state.promptView.mode === 'fill' && template) {
+            elements.promptLibrary.innerHTML = renderPromptFill(template);
+            updatePromptPreview();
+        } else if (state.promptView.mode === 'edit') {
+            elements.promptLibrary.innerHTML = renderPromptEditor(template || { name: '', category: '', icon: '', text: '' }, templates);
+        } else {
+            state.promptView = { mode: 'list', id: null };
+            renderPromptList(templates);
+        }
+    }
+
+    function renderPromptList(templates) {
+        const category = elements.promptCategory.value;
+        const categories = PromptLibrary.categories(templates);
+        elements.promptCategory.innerHTML = '<option value="">All categories</option>' +
+            categories.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+        elements.promptCategory.value = categories.includes(category) ? category : '';
+
+        const matches = PromptLibrary.search(templates, elements.promptSearch.value, elements.promptCategory.value);
+        if (matches.length === 0) {
+            elements.promptLibrary.innerHTML = `<p class="empty-state">${templates.length ? 'No prompts match this search.' : 'No prompts yet. Add one or import a JSON file.'}</p>`;
+            return;
+        }
+
+        elements.promptLibrary.innerHTML = matches.map(template => `
+            <div class="prompt-item" data-id="${escapeHtml(template.id)}">
+                <span class="suggestion-icon">${escapeHtml(template.icon || '📝')}</span>
+                <div class="prompt-item-info">
+                    <span class="prompt-item-name">
+                        ${escapeHtml(template.name)}
+                        ${template.category ? `<span class="prompt-category">${escapeHtml(template.category)}</span>` : ''}
+                    </span>
+                    <span class="prompt-item-text">${escapeHtml(template.text)}</span>
+                </div>
+                <div class="prompt-item-actions">
+                    <button class="action-btn" data-action="use">Use</button>
+                    <button class="action-btn" data-action="edit">Edit</button>
+                    <button class="action-btn" data-action="delete" title="Delete">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function renderPromptEditor(template, templates) {
+        return `
+            <div class="prompt-form" data-id="${escapeHtml(template.id || '')}">
+                <div class="prompt-form-row">
+                    <input type="text" data-field="icon" class="prompt-icon-input" placeholder="📝" value="${escapeHtml(template.icon || '')}" autocomplete="off">
+                    <input type="text" data-field="name" placeholder="Name, e.g. Code review" value="${escapeHtml(template.name)}" autocomplete="off">
+                    <input type="text" data-field="category" list="promptCategoryOptions" placeholder="Category" value="${escapeHtml(template.category || '')}" autocomplete="off">
+                    <datalist id="promptCategoryOptions">
+                        ${PromptLibrary.categories(templates).map(c => `<option value="${escapeHtml(c)}">`).join('')}
+                    </datalist>
+                </div>
+                <textarea data-field="text" rows="6" placeholder="Prompt text. Use {{name}} for parts to fill in, e.g. Review this {{language}} code: {{code}}">${escapeHtml(template.text)}</textarea>
+                <div class="prompt-form-actions">
+                    <button class="btn btn-secondary" data-action="back">Cancel</button>
+                    <button class="btn btn-primary" data-action="save">Save Prompt</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderPromptFill(template) {
+        return `
+            <div class="prompt-form" data-id="${escapeHtml(template.id)}">
+                <h3>${escapeHtml(template.icon || '📝')} ${escapeHtml(template.name)}</h3>
+                ${PromptLibrary.variables(template.text).map(name => `
+                    <label class="prompt-variable">
+                        <span>${escapeHtml(name.replace(/_/g, ' '))}</span>
+                        <textarea data-variable="${escapeHtml(name)}" rows="1"></textarea>
+                    </label>
+                `).join('')}
+                <div class="prompt-preview" id="promptPreview"></div>
+                <div class="prompt-form-actions">
+                    <button class="btn btn-secondary" data-action="back">Back</button>
+                    <button class="btn btn-primary" data-action="insert">Insert</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function promptValues() {
+        return Object.fromEntries([...elements.promptLibrary.querySelectorAll('[data-variable]')]
+            .map(input => [input.dataset.variable, input.value.trim()]));
+    }
+
+    function updatePromptPreview() {
+        const template = PromptLibrary.load().find(t => t.id === state.promptView.id);
+        const preview = document.getElementById('promptPreview');
+        if (template && preview) {
+            preview.textContent = PromptLibrary.fill(template.text, promptValues());
+        }
+    }
+
+    function savePromptForm(form) {
+        const field = name => form.querySelector(`[data-field="${name}"]`).value.trim();
+        const template = {
+            id: form.dataset.id || PromptLibrary.createId(),
+            name: field('name'),
+            category: field('category'),
+            icon: field('icon') || '📝',
+            text: form.querySelector('[data-field="text"]').value
         };
+        if (!template.name || !template.text.trim()) {
+            showToast('A prompt needs a name and text', 'warning');
+            return;
+        }
+
+        const templates = PromptLibrary.load();
+        const index = templates.findIndex(t => t.id === template.id);
+        if (index >= 0) {
+            templates[index] = template;
+        } else {
+            templates.push(template);
+        }
+        PromptLibrary.save(templates);
+        state.promptView = { mode: 'list', id: null };
+        renderPromptLibrary();
+        renderSuggestionCards();
+        showToast('Prompt saved', 'success');
+    }
+
+    /**
+     * Start using a template: templates with variables open the fill-in form, others go straight in
+     * @param {string} id - Template id
+     * @param {Object} range - Optional { start, end } of composer text to replace, e.g. a slash command
+     */
+    function useTemplate(id, range) {
+        const template = PromptLibrary.load().find(t => t.id === id);
+        if (!template) return;
+
+        state.promptRange = range || null;
+        if (PromptLibrary.variables(template.text).length === 0) {
+            insertPrompt(template.text);
+            return;
+        }
+        state.promptView = { mode: 'fill', id: id };
+        openModal('prompts');
+        elements.promptLibrary.querySelector('[data-variable]')?.focus();
+    }
+
+    /**
+     * Put prompt text into the composer at the cursor, or in place of the slash command that chose it
+     */
+    function insertPrompt(text) {
+        const input = elements.messageInput;
+        const { start, end } = state.promptRange || { start: input.selectionStart, end: input.selectionEnd };
+        input.value = input.value.slice(0, start) + text + input.value.slice(end);
+        state.promptRange = null;
+
+        closeModal('prompts');
+        elements.charCount.textContent = input.value.length;
+        autoResizeTextarea();
+        updateContextMeter();
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
+    }
+
+    function exportPrompts() {
+        const data = { exportedAt: new Date().toISOString(), templates: PromptLibrary.load() };
+        downloadFile(JSON.stringify(data, null, 2), 'prompt-library.json', 'application/json');
+        showToast('Prompts exported as JSON', 'success');
+    }
+
+    async function importPrompts(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('The file is not valid JSON', 'error');
+            return;
+        }
+
+        const imported = PromptLibrary.parseImport(data);
+        if (!imported) {
+            showToast('The file has no prompts', 'error');
+            return;
+        }
+        PromptLibrary.save(PromptLibrary.merge(PromptLibrary.load(), imported));
+        renderPromptLibrary();
+        renderSuggestionCards();
+        showToast(`Imported ${imported.length} prompt${imported.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Slash command: typing /name at the start of a line lists matching templates
+    function slashQuery() {
+        const input = elements.messageInput;
+        if (input.selectionStart !== input.selectionEnd) return null;
+
+        const match = /(^|\n)\/([^\s/]*)$/.exec(input.value.slice(0, input.selectionStart));
+        return match ? { query: match[2], start: input.selectionStart - match[2].length - 1, end: input.selectionStart } : null;
+    }
 
+    function updateSlashMenu() {
+        const slash = slashQuery();
+        const matches = slash ? PromptLibrary.search(PromptLibrary.load(), slash.query).slice(0, 6) : [];
+        state.slashMenu = { matches: matches, active: Math.min(state.slashMenu.active, Math.max(matches.length - 1, 0)), range: slash };
+
+        elements.slashMenu.classList.toggle('hidden', matches.length === 0);
+        elements.slashMenu.innerHTML = matches.map((template, i) => `
+            <div class="slash-menu-item${i === state.slashMenu.active ? ' active' : ''}" data-id="${escapeHtml(template.id)}">
+                <span>${escapeHtml(template.icon || '📝')}</span>
+                <span class="prompt-item-name">${escapeHtml(template.name)}</span>
+                ${template.category ? `<span class="prompt-category">${escapeHtml(template.category)}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    function closeSlashMenu() {
+        state.slashMenu = { matches: [], active: 0 };
+        elements.slashMenu.classList.add('hidden');
+    }
+
+    function chooseSlashItem(id) {
+        const range = state.slashMenu.range;
+        closeSlashMenu();
+        useTemplate(id, range ? { start: range.start, end: range.end } : null);
+    }
+
+    // ===== Modal Management =====
+    const modalMap = {
+        settings: elements.settingsModal,
+        history: elements.historyModal,
+        export: elements.exportModal,
+        disagreements: elements.disagreementsModal,
+        comparison: elements.comparisonModal,
+        leaderboard: elements.leaderboardModal,
+        prompts: elements.promptsModal
+    };
+
+    function openModal(type) {
         const modal = modalMap[type];
         if (modal) {
             if (type === 'history') {
                 renderHistoryList();
             }
+            if (type === 'leaderboard') {
+                renderLeaderboard();
+            }
+            if (type === 'prompts') {
+                renderPromptLibrary();
+            }
+            if (type === 'settings') {
+                // Drop unsaved endpoint and pipeline rows from a previous visit
+                renderCustomEndpointSettings();
+                renderPipelineSettings();
+                // Show current spending next to the limits
+                renderBudgetSettings();
+            }
             modal.classList.add('active');
         }
     }
 
     function closeModal(type) {
-        const modalMap = {
-            settings: elements.settingsModal,
-            history: elements.historyModal,
-            export: elements.exportModal
-        };
-
         const modal = modalMap[type];
         if (modal) {
             modal.classList.remove('active');
@@ -759,7 +3226,24 @@
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * A value as a JavaScript literal for an inline onclick handler
+     * Model keys can hold user-typed model ids, so they are never pasted in raw
+     */
+    function jsArg(value) {
+        return escapeHtml(JSON.stringify(value));
+    }
+
+    /**
+     * First element matching a selector whose data-model is this model key
+     * Compared in JavaScript because a model key may hold characters a selector can't
+     */
+    function findByModel(container, selector, model) {
+        return [...container.querySelectorAll(selector)].find(el => el.dataset.model === model) || null;
     }
 
     function formatDate(timestamp) {
@@ -813,16 +3297,75 @@
         elements.messageInput.addEventListener('input', () => {
             elements.charCount.textContent = elements.messageInput.value.length;
             autoResizeTextarea();
+            updateContextMeter();
+            updateSlashMenu();
         });
 
         elements.messageInput.addEventListener('keydown', (e) => {
+            const { matches, active } = state.slashMenu;
+            if (matches.length > 0 && !e.ctrlKey) {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    state.slashMenu.active = (active + (e.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+                    updateSlashMenu();
+                    return;
+                }
+                if (e.key === 'Enter' || e.key === 'Tab') {
+                    e.preventDefault();
+                    chooseSlashItem(matches[active].id);
+                    return;
+                }
+                if (e.key === 'Escape') {
+                    closeSlashMenu();
+                    return;
+                }
+            }
             if (e.key === 'Enter' && e.ctrlKey) {
                 e.preventDefault();
                 sendMessage();
             }
         });
 
-        elements.sendBtn.addEventListener('click', sendMessage);
+        // JSON mode
+        elements.jsonModeBtn.addEventListener('click', toggleJsonMode);
+        elements.debateModeBtn.addEventListener('click', toggleDebateMode);
+        elements.arenaModeBtn.addEventListener('click', toggleArenaMode);
+        elements.debateRounds.addEventListener('change', () => {
+            elements.debateRounds.value = getDebateRounds();
+            localStorage.setItem('debate_rounds', elements.debateRounds.value);
+        });
+        elements.schemaInput.addEventListener('input', () => {
+            localStorage.setItem('json_schema', elements.schemaInput.value);
+            updateSchemaStatus();
+        });
+
+        // Attachments
+        elements.attachBtn.addEventListener('click', () => elements.fileInput.click());
+        elements.fileInput.addEventListener('change', async () => {
+            await addAttachments([...elements.fileInput.files]);
+            elements.fileInput.value = '';
+        });
+        elements.messageInput.addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length > 0) {
+                e.preventDefault();
+                addAttachments(files);
+            }
+        });
+        elements.attachmentList.addEventListener('click', (e) => {
+            const btn = e.target.closest('.attachment-remove');
+            if (!btn) return;
+            state.pendingAttachments.splice(Number(btn.dataset.index), 1);
+            renderAttachmentList();
+        });
+
+        elements.sendBtn.addEventListener('click', () => {
+            if (state.isLoading) {
+                stopGeneration();
+            } else {
+                sendMessage();
+            }
+        });
 
         // Model selector
         elements.modelSelector.addEventListener('click', (e) => {
@@ -831,15 +3374,76 @@
                 toggleModel(pill.dataset.model);
             }
         });
+        elements.modelSelector.addEventListener('change', (e) => {
+            if (e.target.id !== 'pipelineSelect') return;
+            Pipelines.setActive(e.target.value || null);
+            updateModelPills();
+        });
 
-        // Suggestion cards
-        document.querySelectorAll('.suggestion-card').forEach(card => {
-            card.addEventListener('click', () => {
-                elements.messageInput.value = card.dataset.prompt;
-                elements.charCount.textContent = card.dataset.prompt.length;
-                autoResizeTextarea();
-                elements.messageInput.focus();
-            });
+        // Suggestion cards and the prompt library
+        elements.suggestionCards.addEventListener('click', (e) => {
+            const card = e.target.closest('.suggestion-card');
+            if (card) useTemplate(card.dataset.id);
+        });
+        elements.messageInput.addEventListener('blur', closeSlashMenu);
+        elements.slashMenu.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.slash-menu-item');
+            if (!item) return;
+            // Keep the composer focused so the blur doesn't close the menu first
+            e.preventDefault();
+            chooseSlashItem(item.dataset.id);
+        });
+        const openPromptList = () => {
+            state.promptView = { mode: 'list', id: null };
+            state.promptRange = null;
+            openModal('prompts');
+        };
+        elements.promptLibraryBtn.addEventListener('click', openPromptList);
+        elements.browsePromptsBtn.addEventListener('click', openPromptList);
+        document.getElementById('closePrompts').addEventListener('click', () => closeModal('prompts'));
+        elements.promptSearch.addEventListener('input', renderPromptLibrary);
+        elements.promptCategory.addEventListener('change', renderPromptLibrary);
+        elements.newPromptBtn.addEventListener('click', () => {
+            state.promptView = { mode: 'edit', id: null };
+            renderPromptLibrary();
+        });
+        elements.exportPromptsBtn.addEventListener('click', exportPrompts);
+        elements.importPromptsBtn.addEventListener('click', () => elements.importPromptsInput.click());
+        elements.importPromptsInput.addEventListener('change', async () => {
+            const file = elements.importPromptsInput.files[0];
+            elements.importPromptsInput.value = '';
+            if (file) await importPrompts(file);
+        });
+        elements.promptLibrary.addEventListener('input', (e) => {
+            if (e.target.dataset.variable) updatePromptPreview();
+        });
+        elements.promptLibrary.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+
+            const id = btn.closest('[data-id]')?.dataset.id;
+            const action = btn.dataset.action;
+            if (action === 'use') {
+                useTemplate(id, state.promptRange);
+            } else if (action === 'edit') {
+                state.promptView = { mode: 'edit', id: id };
+                renderPromptLibrary();
+            } else if (action === 'delete') {
+                const template = PromptLibrary.load().find(t => t.id === id);
+                if (template && confirm(`Delete the prompt "${template.name}"?`)) {
+                    PromptLibrary.save(PromptLibrary.load().filter(t => t.id !== id));
+                    renderPromptLibrary();
+                    renderSuggestionCards();
+                }
+            } else if (action === 'back') {
+                state.promptView = { mode: 'list', id: null };
+                renderPromptLibrary();
+            } else if (action === 'save') {
+                savePromptForm(btn.closest('.prompt-form'));
+            } else if (action === 'insert') {
+                const template = PromptLibrary.load().find(t => t.id === id);
+                insertPrompt(PromptLibrary.fill(template.text, promptValues()));
+            }
         });
 
         // Settings modal
@@ -847,19 +3451,68 @@
         elements.saveSettingsBtn.addEventListener('click', saveSettings);
         elements.clearDataBtn.addEventListener('click', clearAllData);
 
-        // Toggle visibility buttons
-        document.querySelectorAll('.toggle-visibility').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const targetId = btn.dataset.target;
-                const input = document.getElementById(targetId);
-                const isPassword = input.type === 'password';
-                input.type = isPassword ? 'text' : 'password';
-                btn.classList.toggle('visible', isPassword);
-            });
+        elements.parameterSettings.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-refresh]');
+            if (btn) refreshModelList(btn);
+        });
+        elements.addEndpointBtn.addEventListener('click', addEndpointRow);
+        elements.addPriceBtn.addEventListener('click', addPriceRow);
+        elements.priceSettings.addEventListener('click', (e) => {
+            const btn = e.target.closest('.endpoint-remove');
+            if (btn) btn.closest('.price-row').remove();
+        });
+        elements.resetUsageBtn.addEventListener('click', () => {
+            if (confirm('Reset the all-time spending total? Costs saved with your chats are kept.')) {
+                Usage.resetLedger();
+                updateUsageSummary();
+                showToast('Spending total reset', 'success');
+            }
+        });
+        elements.customEndpointSettings.addEventListener('click', (e) => {
+            const btn = e.target.closest('.endpoint-remove');
+            if (btn) btn.closest('.endpoint-row').remove();
+        });
+        elements.addPipelineBtn.addEventListener('click', addPipelineRow);
+        elements.pipelineSettings.addEventListener('click', (e) => {
+            if (e.target.closest('.pipeline-add-step')) {
+                addPipelineStep(e.target.closest('.pipeline-row'));
+            } else if (e.target.closest('.pipeline-remove-step')) {
+                e.target.closest('.pipeline-step-row').remove();
+            } else if (e.target.closest('.endpoint-remove')) {
+                e.target.closest('.pipeline-row').remove();
+            }
+        });
+
+        // Toggle visibility buttons (rendered from the provider registry)
+        elements.settingsModal.addEventListener('click', (e) => {
+            const btn = e.target.closest('.toggle-visibility');
+            if (!btn) return;
+
+            const input = document.getElementById(btn.dataset.target);
+            const isPassword = input.type === 'password';
+            input.type = isPassword ? 'text' : 'password';
+            btn.classList.toggle('visible', isPassword);
         });
 
         // History modal
         document.getElementById('closeHistory').addEventListener('click', () => closeModal('history'));
+        document.getElementById('closeLeaderboard').addEventListener('click', () => closeModal('leaderboard'));
+        elements.leaderboardBtn.addEventListener('click', () => openModal('leaderboard'));
+        elements.leaderboardCategory.addEventListener('change', renderLeaderboard);
+        elements.leaderboardTag.addEventListener('change', renderLeaderboard);
+        elements.resetVotesBtn.addEventListener('click', () => {
+            if (confirm('Delete all arena votes? The leaderboard starts over.')) {
+                Arena.reset();
+                renderLeaderboard();
+            }
+        });
+        elements.importChatBtn.addEventListener('click', () => elements.importChatInput.click());
+        elements.importChatInput.addEventListener('change', async () => {
+            const file = elements.importChatInput.files[0];
+            elements.importChatInput.value = '';
+            if (file) await importJson(file);
+        });
+
         elements.historyList.addEventListener('click', (e) => {
             const deleteBtn = e.target.closest('.history-item-delete');
             if (deleteBtn) {
@@ -879,8 +3532,12 @@
         elements.exportJson.addEventListener('click', exportJson);
         elements.exportMarkdown.addEventListener('click', exportMarkdown);
 
+        // Disagreements modal
+        document.getElementById('closeDisagreements').addEventListener('click', () => closeModal('disagreements'));
+        document.getElementById('closeComparison').addEventListener('click', () => closeModal('comparison'));
+
         // Close modals on overlay click
-        [elements.settingsModal, elements.historyModal, elements.exportModal].forEach(modal => {
+        Object.values(modalMap).forEach(modal => {
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     modal.classList.remove('active');
@@ -901,7 +3558,7 @@
         document.addEventListener('keydown', (e) => {
             // Escape to close modals
             if (e.key === 'Escape') {
-                [elements.settingsModal, elements.historyModal, elements.exportModal].forEach(modal => {
+                Object.values(modalMap).forEach(modal => {
                     modal.classList.remove('active');
                 });
             }
@@ -0,0 +1,71 @@
+/**
+ * Gemini connector tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.localStorage = { getItem: key => (key === 'gemini_api_key' ? 'test-key' : null) };
+global.RequestHelper = require('../api/request.js');
+const GeminiAPI = require('../api/gemini.js');
+
+/**
+ * Call chat with a stubbed fetch and return the request body it sent
+ * @param {Object} options - Chat options
+ * @returns {Promise<Object>}
+ */
+async function requestBody(options) {
+    let body;
+    const originalFetch = global.fetch;
+    global.fetch = async (url, init) => {
+        body = JSON.parse(init.body);
+        return new Response(JSON.stringify({
+            candidates: [{ content: { parts: [{ text: 'ok' }] }, finishReason: 'STOP' }]
+        }), { status: 200, headers: { 'content-type': 'application/json' } });
+    };
+
+    try {
+        await GeminiAPI.chat([{ role: 'user', content: 'What time is it?' }], { maxRetries: 0, ...options });
+    } finally {
+        global.fetch = originalFetch;
+    }
+    return body;
+}
+
+test('leaves parameters out for a tool with no properties', async () => {
+    const body = await requestBody({
+        tools: [{ name: 'current_time', description: 'Get the current time.', parameters: { type: 'object', properties: {} } }]
+    });
+
+    assert.deepEqual(body.tools[0].functionDeclarations, [
+        { name: 'current_time', description: 'Get the current time.' }
+    ]);
+});
+
+test('keeps parameters for a tool with properties, without keywords Gemini rejects', async () => {
+    const body = await requestBody({
+        tools: [{
+            name: 'calculator',
+            description: 'Evaluate an expression.',
+            parameters: {
+                type: 'object',
+                properties: { expression: { type: 'string' } },
+                required: ['expression'],
+                additionalProperties: false
+            }
+        }]
+    });
+
+    assert.deepEqual(body.tools[0].functionDeclarations[0].parameters, {
+        type: 'object',
+        properties: { expression: { type: 'string' } },
+        required: ['expression']
+    });
+});
+
+test('sends no tools field when no tools are enabled', async () => {
+    const body = await requestBody({});
+
+    assert.equal(body.tools, undefined);
+});
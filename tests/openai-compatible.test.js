@@ -0,0 +1,58 @@
+/**
+ * OpenAI-compatible connector tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.localStorage = { getItem: () => null };
+global.RequestHelper = require('../api/request.js');
+global.SSEParser = require('../api/sse.js');
+const OpenAICompatibleAPI = require('../api/openai-compatible.js');
+
+const streamBody = 'data: {"choices":[{"delta":{"content":"hi"}}]}\n\ndata: [DONE]\n\n';
+
+/**
+ * Stream one message through a fresh local endpoint with a stubbed fetch
+ * @param {Function} respond - (body) => Response for each request
+ * @returns {Promise<Object>} - { connector, bodies, result, error }
+ */
+async function stream(respond) {
+    const connector = OpenAICompatibleAPI.create({ name: 'Local', baseUrl: 'http://localhost:1234/v1', model: 'local-model', requiresKey: false });
+    const bodies = [];
+    const originalFetch = global.fetch;
+    global.fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        bodies.push(body);
+        return respond(body);
+    };
+
+    try {
+        const result = await connector.streamChat([{ role: 'user', content: 'q' }], () => {}, { maxRetries: 0 });
+        return { connector, bodies, result };
+    } catch (error) {
+        return { connector, bodies, error };
+    } finally {
+        global.fetch = originalFetch;
+    }
+}
+
+test('retries without stream_options when the server rejects that field', async () => {
+    const { connector, bodies, result } = await stream(body => body.stream_options
+        ? new Response('{"error":{"message":"Unrecognized request argument supplied: stream_options"}}', { status: 400 })
+        : new Response(streamBody, { status: 200 }));
+
+    assert.equal(result.content, 'hi');
+    assert.deepEqual(bodies.map(body => 'stream_options' in body), [true, false]);
+    assert.equal(connector.streamUsage, false);
+});
+
+test('throws the original error for a 400 unrelated to stream_options, without a retry', async () => {
+    const { connector, bodies, error } = await stream(() =>
+        new Response('{"error":{"message":"This model\'s maximum context length is 4096 tokens"}}', { status: 400 }));
+
+    assert.equal(bodies.length, 1);
+    assert.equal(error.message, "This model's maximum context length is 4096 tokens");
+    assert.equal(connector.streamUsage, true);
+});
@@ -0,0 +1,36 @@
+/**
+ * SchemaValidator tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaValidator = require('../api/schema.js');
+
+const schema = {
+    type: 'object',
+    properties: { code: { type: 'string', pattern: '^[A-Z]{3}$' } },
+    required: ['code']
+};
+
+test('accepts a string that matches its pattern', () => {
+    assert.deepEqual(SchemaValidator.check('{"code":"ABC"}', schema).errors, []);
+});
+
+test('reports a string that does not match its pattern', () => {
+    const result = SchemaValidator.check('{"code":"abc"}', schema);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, [{ path: '$.code', message: 'must match /^[A-Z]{3}$/' }]);
+});
+
+test('reports an invalid pattern as a validation error instead of throwing', () => {
+    const broken = { type: 'object', properties: { code: { type: 'string', pattern: '([A-Z' } } };
+    const result = SchemaValidator.check('{"code":"ABC"}', broken);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.value, { code: 'ABC' });
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].path, '$.code');
+    assert.match(result.errors[0].message, /not a valid regular expression/);
+});
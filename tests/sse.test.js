@@ -0,0 +1,117 @@
+/**
+ * SSEParser tests
+ * Fixtures are deliberately cut at awkward places to mimic network reads
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SSEParser = require('../api/sse.js');
+
+const encoder = new TextEncoder();
+
+/**
+ * Response body that delivers each chunk as a separate read
+ * @param {Array} chunks - Strings or Uint8Arrays
+ * @returns {ReadableStream}
+ */
+function body(chunks) {
+    return new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+            controller.close();
+        }
+    });
+}
+
+async function collect(chunks) {
+    const events = [];
+    await SSEParser.read(body(chunks), event => events.push(event));
+    return events;
+}
+
+async function collectJSON(chunks) {
+    const payloads = [];
+    await SSEParser.readJSON(body(chunks), (parsed, event) => payloads.push({ parsed, event }));
+    return payloads;
+}
+
+test('joins an event split across two reads', async () => {
+    const events = await collect([
+        'data: {"choices":[{"delta":{"content":"Hel',
+        'lo"}}]}\n\ndata: [DONE]\n\n'
+    ]);
+
+    assert.equal(events.length, 2);
+    assert.equal(JSON.parse(events[0].data).choices[0].delta.content, 'Hello');
+    assert.equal(events[1].data, '[DONE]');
+});
+
+test('joins a line ending split between \\r and \\n', async () => {
+    const events = await collect(['data: one\r', '\n\r\ndata: two\r\n\r\n']);
+
+    assert.deepEqual(events.map(event => event.data), ['one', 'two']);
+});
+
+test('decodes a multi-byte UTF-8 character split across chunks', async () => {
+    const bytes = encoder.encode('data: {"text":"café 🚀"}\n\n');
+    const cut = bytes.length - 6; // inside the 4-byte rocket emoji
+    const events = await collect([bytes.slice(0, cut), bytes.slice(cut)]);
+
+    assert.equal(JSON.parse(events[0].data).text, 'café 🚀');
+});
+
+test('joins multi-line data fields with newlines', async () => {
+    const events = await collect(['data: first line\ndata:', ' second line\n', 'data:third\n\n']);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data, 'first line\nsecond line\nthird');
+});
+
+test('reports event names and ids, and skips comments', async () => {
+    const events = await collect([
+        ': keep-alive\n\n',
+        'event: content_block_delta\nid: 7\ndata: {"delta":{"text":"a"}}\n\n',
+        'data: plain\n\n'
+    ]);
+
+    assert.deepEqual(events.map(event => [event.event, event.id]), [['content_block_delta', '7'], ['message', '7']]);
+});
+
+test('dispatches a final event with no trailing newline', async () => {
+    const events = await collect(['data: {"a":1}\n\n', 'data: {"b":', '2}']);
+
+    assert.deepEqual(events.map(event => JSON.parse(event.data)), [{ a: 1 }, { b: 2 }]);
+});
+
+test('readJSON passes parsed payloads and skips [DONE] and non-JSON pings', async () => {
+    const payloads = await collectJSON([
+        'event: message_start\ndata: {"type":"message_start"}\n\n',
+        'data: ping\n\ndata: [DONE]\n\n'
+    ]);
+
+    assert.deepEqual(payloads, [{ parsed: { type: 'message_start' }, event: 'message_start' }]);
+});
+
+test('readJSON throws the provider error from an error event', async () => {
+    await assert.rejects(
+        collectJSON(['event: error\ndata: {"type":"error","error":{"message":"Over', 'loaded"}}\n\n']),
+        { message: 'Overloaded' }
+    );
+});
+
+test('readJSON throws on an error payload without an event name', async () => {
+    await assert.rejects(collectJSON(['data: {"error":"quota exceeded"}\n\n']), { message: 'quota exceeded' });
+});
+
+test('readJSON throws the raw text of a non-JSON error event', async () => {
+    await assert.rejects(collectJSON(['event: error\ndata: upstream timed out\n\n']), { message: 'upstream timed out' });
+});
+
+test('readJSON throws a stream error, not a TypeError, for an error event with null data', async () => {
+    await assert.rejects(collectJSON(['event: error\ndata: null\n\n']), error => {
+        assert.ok(!(error instanceof TypeError));
+        assert.equal(error.message, 'null');
+        return true;
+    });
+});